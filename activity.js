@@ -0,0 +1,253 @@
+/**
+ * Chat Activity
+ *
+ * CONTROL messages about what peers are doing in the chat:
+ * - typing: sent while the user types (refreshed every few seconds) and
+ *   when they stop; receivers forget a "typing" that is not refreshed
+ * - focus / away: sent when the page is shown or hidden, and to peers that
+ *   connect while we are away
+ * - read: receipts for messages that were on screen, batched per sender.
+ *   Receipts can be turned off; the setting is kept in localStorage.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const ACTIVITY = {
+    TYPING_REFRESH: 3000,       // Resend "typing" while the user keeps typing...
+    TYPING_IDLE: 5000,          // ...and send "stopped" after 5s without input
+    TYPING_EXPIRY: 8000,        // A peer's "typing" without a refresh is dropped
+    READ_DELAY: 1000,           // Receipts for messages read within 1s go out together
+    MAX_TRACKED: 1000,          // Our sent messages whose receipts are kept
+    RECEIPTS_SETTING: 'lp2p.readReceipts'
+};
+
+const PEER_ACTIVITY = {
+    ACTIVE: 'active',
+    AWAY: 'away'
+};
+
+// ============================================================================
+// ActivityManager Class
+// ============================================================================
+
+class ActivityManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our peer ID
+     * @param {Function} options.recipients - () => peerIds our chat messages go to
+     * @param {Function} options.send - async (message) => void; sends a CONTROL message to message.to
+     * @param {Object} [options.storage] - localStorage-like store for the receipts setting
+     * @param {Function} [options.onTyping] - () => void; the set of typing peers changed
+     * @param {Function} [options.onActivity] - (peerId) => void; a peer went away or came back
+     * @param {Function} [options.onReceipt] - (messageId, readers) => void
+     */
+    constructor(options = {}) {
+        this.peerId = options.peerId;
+        this.recipients = options.recipients;
+        this.send = options.send;
+        this.storage = options.storage || null;
+        this.onTyping = options.onTyping || (() => {});
+        this.onActivity = options.onActivity || (() => {});
+        this.onReceipt = options.onReceipt || (() => {});
+
+        this.typing = false;            // We told peers we are typing
+        this.typingSentAt = 0;
+        this.idleTimer = null;
+        this.typingPeers = new Map();   // peerId -> expiry timer
+        this.away = false;
+        this.peerStates = new Map();    // peerId -> PEER_ACTIVITY
+        this.unsentReceipts = new Map(); // sender -> message ids read, not yet acknowledged
+        this.readTimer = null;
+        this.read = new Set();          // Received message ids we sent a receipt for
+        this.readers = new Map();       // Our message id -> Set of peers who read it, oldest first
+
+        const stored = this.storage ? this.storage.getItem(ACTIVITY.RECEIPTS_SETTING) : null;
+        this.receiptsEnabled = stored !== 'off';
+    }
+
+    /**
+     * Send a CONTROL message built by `create(to)` to every chat recipient
+     */
+    broadcast(create) {
+        for (const pid of this.recipients()) {
+            this.send(create(pid)).catch(error => console.warn('Could not send activity to', pid, error.message));
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Typing
+    // ------------------------------------------------------------------------
+
+    /**
+     * The message input changed
+     */
+    inputChanged(hasText, now = Date.now()) {
+        if (!hasText) {
+            this.stopTyping();
+            return;
+        }
+
+        if (!this.typing || now - this.typingSentAt >= ACTIVITY.TYPING_REFRESH) {
+            this.typing = true;
+            this.typingSentAt = now;
+            this.broadcast(to => LP2P.MessageFactory.createTyping(this.peerId, to, true));
+        }
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.stopTyping(), ACTIVITY.TYPING_IDLE);
+    }
+
+    /**
+     * The user sent their message, cleared the input or went idle
+     */
+    stopTyping() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (!this.typing) return;
+        this.typing = false;
+        this.broadcast(to => LP2P.MessageFactory.createTyping(this.peerId, to, false));
+    }
+
+    handleTyping(message) {
+        const from = message.from;
+        clearTimeout(this.typingPeers.get(from));
+        if (message.payload.active) {
+            this.typingPeers.set(from, setTimeout(() => this.peerStoppedTyping(from), ACTIVITY.TYPING_EXPIRY));
+        } else {
+            this.typingPeers.delete(from);
+        }
+        this.onTyping();
+    }
+
+    /**
+     * A peer's message arrived, or their typing expired
+     */
+    peerStoppedTyping(pid) {
+        if (!this.typingPeers.has(pid)) return;
+        clearTimeout(this.typingPeers.get(pid));
+        this.typingPeers.delete(pid);
+        this.onTyping();
+    }
+
+    whoIsTyping() {
+        return [...this.typingPeers.keys()];
+    }
+
+    // ------------------------------------------------------------------------
+    // Focus / away
+    // ------------------------------------------------------------------------
+
+    /**
+     * Our page was hidden (away) or shown again
+     */
+    setAway(away) {
+        if (away === this.away) return;
+        this.away = away;
+        if (away) this.stopTyping();
+        this.broadcast(to => LP2P.MessageFactory.createActivity(this.peerId, to, away));
+    }
+
+    handleActivity(message) {
+        const state = message.payload.action === LP2P.CONTROL_ACTIONS.AWAY ? PEER_ACTIVITY.AWAY : PEER_ACTIVITY.ACTIVE;
+        if (this.peerStates.get(message.from) === state) return;
+        this.peerStates.set(message.from, state);
+        this.onActivity(message.from);
+    }
+
+    isAway(pid) {
+        return this.peerStates.get(pid) === PEER_ACTIVITY.AWAY;
+    }
+
+    /**
+     * A peer said HELLO: peers assume we are active until told otherwise
+     */
+    peerConnected(pid) {
+        this.peerStates.delete(pid);
+        if (!this.away) return;
+        this.send(LP2P.MessageFactory.createActivity(this.peerId, pid, true))
+            .catch(error => console.warn('Could not send away status to', pid, error.message));
+    }
+
+    peerDisconnected(pid) {
+        this.peerStoppedTyping(pid);
+        if (this.peerStates.delete(pid)) this.onActivity(pid);
+    }
+
+    // ------------------------------------------------------------------------
+    // Read receipts
+    // ------------------------------------------------------------------------
+
+    setReceiptsEnabled(enabled) {
+        this.receiptsEnabled = enabled;
+        if (this.storage) this.storage.setItem(ACTIVITY.RECEIPTS_SETTING, enabled ? 'on' : 'off');
+        if (!enabled) this.unsentReceipts.clear();
+    }
+
+    /**
+     * A received message was on screen while the page was visible
+     */
+    messageSeen(messageId, senderId) {
+        if (!this.receiptsEnabled || senderId === this.peerId || this.read.has(messageId)) return;
+        this.read.add(messageId);
+
+        if (!this.unsentReceipts.has(senderId)) this.unsentReceipts.set(senderId, []);
+        this.unsentReceipts.get(senderId).push(messageId);
+        if (!this.readTimer) this.readTimer = setTimeout(() => this.flushReceipts(), ACTIVITY.READ_DELAY);
+    }
+
+    /**
+     * One receipt per sender, naming every message read since the last one
+     */
+    flushReceipts() {
+        this.readTimer = null;
+        for (const [sender, ids] of this.unsentReceipts) {
+            for (let i = 0; i < ids.length; i += LP2P.LIMITS.MAX_READ_BATCH) {
+                const batch = ids.slice(i, i + LP2P.LIMITS.MAX_READ_BATCH);
+                const receipt = LP2P.MessageFactory.createReadReceipt(this.peerId, sender, batch[batch.length - 1], batch);
+                this.send(receipt).catch(error => console.warn('Could not send read receipt to', sender, error.message));
+            }
+        }
+        this.unsentReceipts.clear();
+    }
+
+    /**
+     * Remember one of our messages so receipts for it are shown
+     */
+    trackSent(messageId) {
+        if (this.readers.has(messageId)) return;
+        this.readers.set(messageId, new Set());
+        if (this.readers.size > ACTIVITY.MAX_TRACKED) {
+            this.readers.delete(this.readers.keys().next().value);
+        }
+    }
+
+    handleRead(message) {
+        const ids = message.payload.messageIds || [message.replyTo];
+        for (const messageId of ids) {
+            const readers = this.readers.get(messageId);
+            if (!readers || readers.has(message.from)) continue;
+            readers.add(message.from);
+            this.onReceipt(messageId, [...readers]);
+        }
+    }
+
+    readersOf(messageId) {
+        return [...(this.readers.get(messageId) || [])];
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PActivity = {
+        // Constants
+        ACTIVITY,
+        PEER_ACTIVITY,
+
+        // Classes
+        ActivityManager
+    };
+}
@@ -0,0 +1,72 @@
+/**
+ * IndexedDB wrapper for persisting message edits and deletions
+ * Store: `tombstones` keyed by the edited message's `messageId`
+ * (author, revision, current text or deleted flag, history, recipients)
+ */
+(function(global){
+    const DB_NAME = 'lp2p-edits';
+    const DB_VERSION = 1;
+    const TOMBSTONES_STORE = 'tombstones';
+
+    function openDB(){
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (ev) => {
+                const db = ev.target.result;
+                if (!db.objectStoreNames.contains(TOMBSTONES_STORE)){
+                    db.createObjectStore(TOMBSTONES_STORE, { keyPath: 'messageId' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function withStore(mode, fn){
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(TOMBSTONES_STORE, mode);
+            let res;
+            try {
+                res = fn(tx.objectStore(TOMBSTONES_STORE));
+            } catch (err) {
+                reject(err);
+            }
+            tx.oncomplete = () => resolve(res);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function request(req){
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const EditStore = {
+        async putTombstone(record) {
+            if (!record || !record.messageId || !record.author) throw new Error('Invalid tombstone');
+            return withStore('readwrite', (store) => store.put(record));
+        },
+
+        async getAllTombstones(){
+            const db = await openDB();
+            const tx = db.transaction(TOMBSTONES_STORE, 'readonly');
+            return (await request(tx.objectStore(TOMBSTONES_STORE).getAll())) || [];
+        },
+
+        async deleteTombstone(messageId){
+            return withStore('readwrite', (store) => store.delete(messageId));
+        },
+
+        async clear(){
+            return withStore('readwrite', (store) => store.clear());
+        }
+    };
+
+    if (typeof global !== 'undefined') {
+        global.LP2PEditStore = EditStore;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
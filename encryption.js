@@ -0,0 +1,350 @@
+/**
+ * End-to-End Encryption
+ *
+ * Pairwise encryption of message payloads on top of identity keys. Each peer
+ * holds an X25519 key, signed by its Ed25519 PeerIdentity and published in
+ * HELLO. Two peers derive a shared AES-GCM key (ECDH + HKDF) and seal TEXT,
+ * DATA and FILE payloads with it; the envelope (id, type, from, to,
+ * timestamp) stays in clear for routing and is bound as associated data.
+ * Room broadcasts use sender keys instead (senderKeys.js).
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const ENCRYPTION = {
+    KEY_ALGORITHM: 'X25519',
+    IV_LENGTH: 12,                      // AES-GCM nonce bytes
+    HKDF_INFO: 'lp2p-e2e-v1',
+    KEY_STATEMENT: 'lp2p-x25519',       // Prefix of the string the identity key signs
+    STORAGE_KEY: 'lp2p.encryptionKey'
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Check whether a message type carries a payload we encrypt. SYSTEM is
+ * sealed only for messages addressed to one peer (e.g. sender keys); HELLO
+ * is always sent in clear since it carries the keys.
+ */
+function isSealableType(type) {
+    return type === LP2P.MESSAGE_TYPES.TEXT
+        || type === LP2P.MESSAGE_TYPES.DATA
+        || type === LP2P.MESSAGE_TYPES.FILE
+        || type === LP2P.MESSAGE_TYPES.SYSTEM;
+}
+
+/**
+ * The string an identity signs to vouch for its X25519 key
+ */
+function keyStatement(peerId, publicKey) {
+    return `${ENCRYPTION.KEY_STATEMENT}:${peerId}:${publicKey}`;
+}
+
+/**
+ * Envelope fields bound to the ciphertext as AES-GCM associated data
+ */
+function associatedData(message) {
+    return new TextEncoder().encode(LP2P.MessageSigner.canonicalize({
+        id: message.id,
+        type: message.type,
+        from: message.from,
+        to: message.to,
+        timestamp: message.timestamp
+    }));
+}
+
+// ============================================================================
+// EncryptionManager Class
+// ============================================================================
+
+class EncryptionManager {
+    /**
+     * @param {Object} options
+     * @param {PeerIdentity} options.identity - Own identity, signs our X25519 key
+     * @param {Storage} [options.storage] - Where the X25519 key pair is kept
+     */
+    constructor(options = {}) {
+        this.identity = options.identity;
+        this.storage = options.storage || null;
+        this.privateKey = null;         // X25519 CryptoKey
+        this.publicInfo = null;         // { algorithm, publicKey, signature } as published
+        this.peerKeys = new Map();      // peerId -> verified published key
+        this.sessionKeys = new Map();   // peerId -> Promise<CryptoKey> (AES-GCM)
+        this.available = false;
+        this.ready = this.initialize();
+    }
+
+    /**
+     * Load or generate our X25519 key and sign it with the identity key.
+     * Browsers without X25519 support leave encryption unavailable.
+     */
+    async initialize() {
+        try {
+            let stored = this.load();
+            if (!stored) {
+                const keyPair = await crypto.subtle.generateKey(
+                    { name: ENCRYPTION.KEY_ALGORITHM },
+                    true,
+                    ['deriveBits']
+                );
+                stored = {
+                    identityId: this.identity.id,
+                    publicKey: LP2PIdentity.arrayBufferToBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey)),
+                    privateKey: LP2PIdentity.arrayBufferToBase64(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey)),
+                    created: Date.now()
+                };
+                this.save(stored);
+            }
+
+            this.privateKey = await crypto.subtle.importKey(
+                'pkcs8',
+                LP2PIdentity.base64ToArrayBuffer(stored.privateKey),
+                { name: ENCRYPTION.KEY_ALGORITHM },
+                false,
+                ['deriveBits']
+            );
+            this.publicInfo = {
+                algorithm: ENCRYPTION.KEY_ALGORITHM,
+                publicKey: stored.publicKey,
+                signature: await this.identity.sign(keyStatement(this.identity.id, stored.publicKey))
+            };
+            this.available = true;
+        } catch (error) {
+            console.warn('End-to-end encryption unavailable:', error);
+            this.available = false;
+        }
+    }
+
+    load() {
+        if (!this.storage) return null;
+        try {
+            const stored = JSON.parse(this.storage.getItem(ENCRYPTION.STORAGE_KEY) || 'null');
+            // A key belongs to one identity; a new identity gets a new key
+            return stored && stored.identityId === this.identity.id ? stored : null;
+        } catch (error) {
+            console.warn('Failed to load encryption key:', error);
+            return null;
+        }
+    }
+
+    save(stored) {
+        if (!this.storage) return;
+        this.storage.setItem(ENCRYPTION.STORAGE_KEY, JSON.stringify(stored));
+    }
+
+    /**
+     * Our signed X25519 key for HELLO, or null if encryption is unavailable
+     */
+    async getPublicKeyInfo() {
+        await this.ready;
+        return this.available ? { ...this.publicInfo } : null;
+    }
+
+    /**
+     * Remember a peer's published X25519 key after checking it is signed by
+     * the peer's identity key. `identityKey` must be the Ed25519 key we trust
+     * for that peer (defaults to the one in peerInfo).
+     */
+    async registerPeerKey(peerInfo, identityKey = peerInfo && peerInfo.publicKey) {
+        const published = peerInfo && peerInfo.encryptionKey;
+        if (!published || published.algorithm !== ENCRYPTION.KEY_ALGORITHM || !identityKey) {
+            return false;
+        }
+
+        const owner = new LP2PIdentity.PeerIdentity({ id: peerInfo.id, publicKey: identityKey });
+        let valid = false;
+        try {
+            valid = await owner.verify(keyStatement(peerInfo.id, published.publicKey), published.signature);
+        } catch (error) {
+            console.warn('Encryption key verification error:', error);
+        }
+        if (!valid) {
+            console.warn('Rejected unsigned encryption key for', peerInfo.id);
+            return false;
+        }
+
+        const existing = this.peerKeys.get(peerInfo.id);
+        if (!existing || existing.publicKey !== published.publicKey) {
+            this.peerKeys.set(peerInfo.id, { ...published });
+            this.sessionKeys.delete(peerInfo.id);
+        }
+        return true;
+    }
+
+    /**
+     * Get a peer's verified published key (for introducing it to others)
+     */
+    getPeerKey(peerId) {
+        const key = this.peerKeys.get(peerId);
+        return key ? { ...key } : null;
+    }
+
+    hasKeyFor(peerId) {
+        return this.available && this.peerKeys.has(peerId);
+    }
+
+    /**
+     * Derive (once) the AES-GCM key shared with a peer
+     */
+    sessionKey(peerId) {
+        if (!this.sessionKeys.has(peerId)) {
+            const derived = this.deriveSessionKey(peerId);
+            derived.catch(() => this.sessionKeys.delete(peerId));
+            this.sessionKeys.set(peerId, derived);
+        }
+        return this.sessionKeys.get(peerId);
+    }
+
+    async deriveSessionKey(peerId) {
+        const theirs = await crypto.subtle.importKey(
+            'raw',
+            LP2PIdentity.base64ToArrayBuffer(this.peerKeys.get(peerId).publicKey),
+            { name: ENCRYPTION.KEY_ALGORITHM },
+            false,
+            []
+        );
+        const shared = await crypto.subtle.deriveBits(
+            { name: ENCRYPTION.KEY_ALGORITHM, public: theirs },
+            this.privateKey,
+            256
+        );
+        const hkdfKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+
+        // Both sides use the same salt: the two peer IDs in sorted order
+        const encoder = new TextEncoder();
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode([this.identity.id, peerId].sort().join('\n')),
+                info: encoder.encode(ENCRYPTION.HKDF_INFO)
+            },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Check whether a message can be sealed for its recipient
+     */
+    canSeal(message) {
+        return isSealableType(message.type)
+            && message.payload.action !== LP2P.SYSTEM_ACTIONS.HELLO
+            && message.to !== '*'
+            && !LP2P.MessageValidator.isSealed(message)
+            && this.hasKeyFor(message.to);
+    }
+
+    /**
+     * Encrypt a message's payload in place for its recipient.
+     * Binary file chunks keep their header fields and only the chunk bytes
+     * are encrypted (`sealed: true`, data = iv || ciphertext); every other
+     * payload becomes { sealed: { iv, data } }.
+     * Returns false if the recipient has no key and the message stays clear.
+     */
+    async seal(message) {
+        await this.ready;
+        if (!this.canSeal(message)) return false;
+
+        const key = await this.sessionKey(message.to);
+        const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION.IV_LENGTH));
+        const params = { name: 'AES-GCM', iv, additionalData: associatedData(message) };
+
+        if (LP2P.BinaryFrame.canEncode(message)) {
+            const ciphertext = new Uint8Array(await crypto.subtle.encrypt(params, key, message.payload.data));
+            const data = new Uint8Array(iv.length + ciphertext.length);
+            data.set(iv, 0);
+            data.set(ciphertext, iv.length);
+            message.payload = { ...message.payload, data: data.buffer, sealed: true };
+        } else {
+            const plaintext = new TextEncoder().encode(JSON.stringify(message.payload));
+            const ciphertext = await crypto.subtle.encrypt(params, key, plaintext);
+            message.payload = {
+                sealed: {
+                    iv: LP2PIdentity.arrayBufferToBase64(iv),
+                    data: LP2PIdentity.arrayBufferToBase64(ciphertext)
+                }
+            };
+        }
+        return true;
+    }
+
+    /**
+     * Decrypt a sealed payload in place and mark the message `encrypted`
+     * @throws {ProtocolError} DECRYPTION_FAILED
+     */
+    async open(message) {
+        await this.ready;
+        const payload = message.payload;
+        if (!LP2P.MessageValidator.isSealed(message)) return false;
+
+        if (!this.hasKeyFor(message.from)) {
+            throw new LP2P.ProtocolError(
+                LP2P.ERROR_CODES.DECRYPTION_FAILED,
+                `No encryption key for ${message.from}`
+            );
+        }
+
+        try {
+            const key = await this.sessionKey(message.from);
+            const aad = associatedData(message);
+
+            if (payload.sealed === true) {
+                const bytes = new Uint8Array(payload.data);
+                const iv = bytes.subarray(0, ENCRYPTION.IV_LENGTH);
+                const plaintext = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv, additionalData: aad },
+                    key,
+                    bytes.subarray(ENCRYPTION.IV_LENGTH)
+                );
+                const opened = { ...payload, data: plaintext };
+                delete opened.sealed;
+                message.payload = opened;
+            } else {
+                const plaintext = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: LP2PIdentity.base64ToArrayBuffer(payload.sealed.iv), additionalData: aad },
+                    key,
+                    LP2PIdentity.base64ToArrayBuffer(payload.sealed.data)
+                );
+                const opened = JSON.parse(new TextDecoder().decode(plaintext));
+                if (!opened || typeof opened !== 'object' || Array.isArray(opened)) {
+                    throw new Error('Sealed payload is not an object');
+                }
+                message.payload = opened;
+            }
+        } catch (error) {
+            throw new LP2P.ProtocolError(
+                LP2P.ERROR_CODES.DECRYPTION_FAILED,
+                `Could not decrypt message from ${message.from}`
+            );
+        }
+
+        message.encrypted = true;
+        return true;
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PEncryption = {
+        // Constants
+        ENCRYPTION,
+
+        // Classes
+        EncryptionManager,
+
+        // Utilities
+        isSealableType,
+        keyStatement,
+        associatedData
+    };
+}
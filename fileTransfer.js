@@ -0,0 +1,804 @@
+/**
+ * File Transfer Engine
+ *
+ * Drives the FILE message flow defined in protocol.js: offering a file,
+ * honoring accept/reject, streaming chunks, reassembling them into a Blob
+ * and verifying the SHA-256 hash announced in the offer.
+ *
+ * Transfers interrupted by a dropped connection are kept (and persisted via
+ * transferStore.js) so they can resume with a RESUME message once the same
+ * peer reconnects.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TRANSFER_DIRECTIONS = {
+    OUTGOING: 'outgoing',
+    INCOMING: 'incoming'
+};
+
+const TRANSFER_STATES = {
+    OFFERED: 'offered',           // Outgoing offer waiting for a decision
+    PENDING: 'pending',           // Incoming offer waiting for the local user
+    TRANSFERRING: 'transferring',
+    INTERRUPTED: 'interrupted',   // Connection dropped, waiting to resume
+    VERIFYING: 'verifying',
+    COMPLETE: 'complete',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+};
+
+const HASH_SLICE_SIZE = 1024 * 1024;   // Bytes of a file read into memory at a time while hashing
+
+// ============================================================================
+// Incremental SHA-256
+// ============================================================================
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 fed in pieces. WebCrypto only digests a whole buffer at once, which
+ * would mean holding an entire file in memory.
+ */
+class Sha256 {
+    constructor() {
+        this.state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        this.block = new Uint8Array(64);
+        this.blockLength = 0;
+        this.length = 0;                // Total bytes hashed
+        this.words = new Uint32Array(64);
+    }
+
+    update(bytes) {
+        bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        this.length += bytes.length;
+
+        let offset = 0;
+        if (this.blockLength > 0) {
+            const take = Math.min(64 - this.blockLength, bytes.length);
+            this.block.set(bytes.subarray(0, take), this.blockLength);
+            this.blockLength += take;
+            offset = take;
+            if (this.blockLength < 64) return this;
+            this.compress(this.block, 0);
+            this.blockLength = 0;
+        }
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            this.compress(bytes, offset);
+        }
+        this.block.set(bytes.subarray(offset));
+        this.blockLength = bytes.length - offset;
+        return this;
+    }
+
+    /**
+     * Finish and return the hex encoded hash
+     */
+    digest() {
+        const bits = this.length * 8;
+        const padding = new Uint8Array((this.blockLength < 56 ? 64 : 128) - this.blockLength);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+        view.setUint32(padding.length - 4, bits >>> 0);
+        this.update(padding);
+
+        return Array.from(this.state)
+            .map(word => word.toString(16).padStart(8, '0'))
+            .join('');
+    }
+
+    compress(bytes, offset) {
+        const w = this.words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const a = w[i - 15], b = w[i - 2];
+            const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+            const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = this.state;
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + S1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+
+        const state = this.state;
+        state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+        state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+    }
+}
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Compute the hex encoded SHA-256 hash of a Blob, reading it a slice at a time
+ */
+async function hashBlob(blob) {
+    const hash = new Sha256();
+    for (let start = 0; start < blob.size; start += HASH_SLICE_SIZE) {
+        hash.update(await blob.slice(start, start + HASH_SLICE_SIZE).arrayBuffer());
+    }
+    return hash.digest();
+}
+
+/**
+ * Collapse a received-chunk bitmap into inclusive [start, end] ranges
+ */
+function bitmapToRanges(bitmap) {
+    const ranges = [];
+    let start = -1;
+    for (let i = 0; i <= bitmap.length; i++) {
+        if (i < bitmap.length && bitmap[i]) {
+            if (start === -1) start = i;
+        } else if (start !== -1) {
+            ranges.push([start, i - 1]);
+            start = -1;
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Expand inclusive [start, end] ranges into a bitmap of the given length
+ */
+function rangesToBitmap(ranges, length) {
+    const bitmap = new Uint8Array(length);
+    for (const [start, end] of ranges) {
+        for (let i = Math.max(start, 0); i <= Math.min(end, length - 1); i++) {
+            bitmap[i] = 1;
+        }
+    }
+    return bitmap;
+}
+
+/**
+ * Check whether a transfer has reached a terminal state
+ */
+function isTransferFinished(transfer) {
+    return [
+        TRANSFER_STATES.COMPLETE,
+        TRANSFER_STATES.REJECTED,
+        TRANSFER_STATES.CANCELLED,
+        TRANSFER_STATES.FAILED
+    ].includes(transfer.state);
+}
+
+// ============================================================================
+// FileTransferManager Class
+// ============================================================================
+
+class FileTransferManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our own peer ID
+     * @param {Function} options.send - send(message) delivers a Message to message.to
+     * @param {Function} [options.onUpdate] - Called with the transfer whenever it changes
+     * @param {Object} [options.store] - LP2PTransferStore used to persist partial transfers
+     * @param {Function} [options.supportsBinary] - supportsBinary(peerId) tells whether a peer accepts binary chunk frames
+     */
+    constructor(options) {
+        this.peerId = options.peerId;
+        this.send = options.send;
+        this.supportsBinary = options.supportsBinary || (() => false);
+        this.onUpdate = options.onUpdate || null;
+        this.store = options.store || null;
+        this.transfers = new Map(); // fileId -> transfer
+    }
+
+    /**
+     * Load unfinished transfers persisted by a previous session
+     */
+    async restore() {
+        if (!this.store) return;
+
+        const records = await this.store.getAllTransfers();
+        for (const record of records) {
+            if (this.transfers.has(record.fileId) || isTransferFinished(record)) continue;
+
+            const transfer = await this.revive(record);
+            if (transfer.state !== TRANSFER_STATES.PENDING) {
+                transfer.state = TRANSFER_STATES.INTERRUPTED;
+            }
+
+            this.transfers.set(transfer.fileId, transfer);
+            this.notify(transfer);
+        }
+    }
+
+    /**
+     * Turn a stored record back into a transfer. persist() does not save
+     * which chunks arrived, so that is rebuilt from the stored chunks.
+     */
+    async revive(record) {
+        const transfer = { ...record };
+        if (transfer.direction === TRANSFER_DIRECTIONS.INCOMING) {
+            transfer.received = new Uint8Array(transfer.totalChunks);
+            for (const index of await this.store.getChunkIndexes(transfer.fileId)) {
+                transfer.received[index] = 1;
+            }
+            transfer.receivedChunks = transfer.received.reduce((n, bit) => n + bit, 0);
+        }
+        return transfer;
+    }
+
+    /**
+     * Offer a file to a peer
+     */
+    async offerFile(file, to) {
+        const hash = await hashBlob(file);
+        const offer = LP2P.MessageFactory.createFileOffer(this.peerId, to, {
+            name: file.name,
+            size: file.size,
+            mimeType: file.type || 'application/octet-stream',
+            chunkSize: this.supportsBinary(to) ? LP2P.LIMITS.MAX_BINARY_CHUNK_SIZE : LP2P.LIMITS.MAX_CHUNK_SIZE,
+            hash
+        });
+
+        const transfer = {
+            fileId: offer.payload.fileId,
+            direction: TRANSFER_DIRECTIONS.OUTGOING,
+            peer: to,
+            name: file.name,
+            size: file.size,
+            mimeType: offer.payload.mimeType,
+            chunkSize: offer.payload.chunkSize,
+            totalChunks: offer.payload.totalChunks,
+            hash,
+            file,
+            accepted: false,
+            sentChunks: 0,
+            state: TRANSFER_STATES.OFFERED
+        };
+
+        this.transfers.set(transfer.fileId, transfer);
+        this.notify(transfer);
+        await this.persist(transfer);
+
+        try {
+            await this.send(offer);
+        } catch (error) {
+            this.interrupt(transfer);
+        }
+
+        return transfer;
+    }
+
+    /**
+     * Accept an incoming offer
+     */
+    async accept(fileId) {
+        const transfer = this.transfers.get(fileId);
+        if (!transfer || transfer.state !== TRANSFER_STATES.PENDING) return;
+
+        transfer.state = TRANSFER_STATES.TRANSFERRING;
+        transfer.received = new Uint8Array(transfer.totalChunks);
+        transfer.receivedChunks = 0;
+        if (!this.store) {
+            transfer.chunks = new Array(transfer.totalChunks);
+        }
+        this.notify(transfer);
+        await this.persist(transfer);
+
+        await this.sendControl(transfer, LP2P.FILE_ACTIONS.ACCEPT);
+    }
+
+    /**
+     * Reject an incoming offer
+     */
+    async reject(fileId, reason = 'declined') {
+        const transfer = this.transfers.get(fileId);
+        if (!transfer || transfer.state !== TRANSFER_STATES.PENDING) return;
+
+        transfer.state = TRANSFER_STATES.REJECTED;
+        transfer.reason = reason;
+        this.notify(transfer);
+        await this.discard(transfer);
+
+        await this.sendControl(transfer, LP2P.FILE_ACTIONS.REJECT, reason);
+    }
+
+    /**
+     * Cancel a transfer from either side
+     */
+    async cancel(fileId, reason = 'cancelled by user') {
+        const transfer = this.transfers.get(fileId);
+        if (!transfer || isTransferFinished(transfer)) return;
+
+        transfer.state = TRANSFER_STATES.CANCELLED;
+        transfer.reason = reason;
+        transfer.chunks = null;
+        this.notify(transfer);
+        await this.discard(transfer);
+
+        await this.sendControl(transfer, LP2P.FILE_ACTIONS.CANCEL, reason);
+    }
+
+    /**
+     * Get a transfer by file ID
+     */
+    getTransfer(fileId) {
+        return this.transfers.get(fileId);
+    }
+
+    /**
+     * Pause every active transfer with a peer whose connection dropped
+     */
+    peerDisconnected(peer) {
+        for (const transfer of this.transfers.values()) {
+            if (transfer.peer !== peer) continue;
+            if (transfer.state === TRANSFER_STATES.OFFERED || transfer.state === TRANSFER_STATES.TRANSFERRING) {
+                this.interrupt(transfer);
+            }
+        }
+    }
+
+    /**
+     * Pick interrupted transfers back up once a peer is connected again.
+     * The receiver reports what it already has with RESUME; the sender only
+     * repeats its offer when the receiver may never have answered it.
+     */
+    async peerConnected(peer) {
+        for (const transfer of this.transfers.values()) {
+            if (transfer.peer !== peer || transfer.state !== TRANSFER_STATES.INTERRUPTED) continue;
+
+            if (transfer.direction === TRANSFER_DIRECTIONS.INCOMING) {
+                await this.requestResume(transfer);
+            } else if (!transfer.accepted || transfer.sentChunks === transfer.totalChunks) {
+                transfer.state = TRANSFER_STATES.OFFERED;
+                this.notify(transfer);
+                await this.resendOffer(transfer);
+            }
+        }
+    }
+
+    /**
+     * Route an incoming FILE message to the matching action handler
+     */
+    async handleMessage(message) {
+        const payload = message.payload;
+
+        switch (payload.action) {
+            case LP2P.FILE_ACTIONS.OFFER:
+                return this.handleOffer(message);
+            case LP2P.FILE_ACTIONS.ACCEPT:
+                return this.handleAccept(message);
+            case LP2P.FILE_ACTIONS.REJECT:
+                return this.handleReject(message);
+            case LP2P.FILE_ACTIONS.CHUNK:
+                return this.handleChunk(message);
+            case LP2P.FILE_ACTIONS.CANCEL:
+                return this.handleCancel(message);
+            case LP2P.FILE_ACTIONS.COMPLETE:
+                return this.handleComplete(message);
+            case LP2P.FILE_ACTIONS.RESUME:
+                return this.handleResume(message);
+        }
+    }
+
+    async handleOffer(message) {
+        const payload = message.payload;
+
+        // A repeated offer for a transfer we already know about comes from a
+        // reconnecting sender: tell it where we are instead of starting over
+        let known = this.transfers.get(payload.fileId);
+        if (!known && this.store) {
+            const record = await this.store.getTransfer(payload.fileId);
+            if (record) known = await this.revive(record);
+        }
+        if (known) {
+            if (known.peer !== message.from || known.direction !== TRANSFER_DIRECTIONS.INCOMING) return;
+            if (known.state === TRANSFER_STATES.COMPLETE) {
+                await this.sendControl(known, LP2P.FILE_ACTIONS.COMPLETE);
+            } else if (known.state === TRANSFER_STATES.INTERRUPTED || known.state === TRANSFER_STATES.TRANSFERRING) {
+                // The chunks it sends next are looked up here
+                this.transfers.set(known.fileId, known);
+                await this.requestResume(known);
+            }
+            return;
+        }
+
+        const transfer = {
+            fileId: payload.fileId,
+            direction: TRANSFER_DIRECTIONS.INCOMING,
+            peer: message.from,
+            name: payload.name,
+            size: payload.size,
+            mimeType: payload.mimeType,
+            chunkSize: payload.chunkSize || LP2P.LIMITS.MAX_CHUNK_SIZE,
+            totalChunks: payload.totalChunks,
+            hash: payload.hash,
+            receivedChunks: 0,
+            state: TRANSFER_STATES.PENDING
+        };
+
+        this.transfers.set(transfer.fileId, transfer);
+        this.notify(transfer);
+    }
+
+    async handleAccept(message) {
+        const transfer = this.findOwned(message, TRANSFER_DIRECTIONS.OUTGOING);
+        if (!transfer || transfer.state !== TRANSFER_STATES.OFFERED) return;
+
+        transfer.state = TRANSFER_STATES.TRANSFERRING;
+        transfer.accepted = true;
+        this.notify(transfer);
+        await this.persist(transfer);
+
+        // Not awaited: the upload must not hold up the receive pipeline
+        const indexes = Array.from({ length: transfer.totalChunks }, (_, i) => i);
+        this.sendChunks(transfer, indexes);
+    }
+
+    async handleResume(message) {
+        const transfer = this.findOwned(message, TRANSFER_DIRECTIONS.OUTGOING);
+        if (!transfer || isTransferFinished(transfer)) {
+            const reason = transfer ? `transfer ${transfer.state}` : 'unknown transfer';
+            const cancel = LP2P.MessageFactory.createFileControl(
+                this.peerId, message.from, LP2P.FILE_ACTIONS.CANCEL, message.payload.fileId, reason
+            );
+            try { await this.send(cancel); } catch (_) {}
+            return;
+        }
+
+        const have = rangesToBitmap(message.payload.ranges, transfer.totalChunks);
+        const missing = [];
+        for (let i = 0; i < transfer.totalChunks; i++) {
+            if (!have[i]) missing.push(i);
+        }
+
+        transfer.state = TRANSFER_STATES.TRANSFERRING;
+        transfer.accepted = true;
+        transfer.sentChunks = transfer.totalChunks - missing.length;
+        this.notify(transfer);
+        await this.persist(transfer);
+
+        this.sendChunks(transfer, missing);     // In the background, like handleAccept()
+    }
+
+    async handleReject(message) {
+        const transfer = this.findOwned(message, TRANSFER_DIRECTIONS.OUTGOING);
+        if (!transfer || isTransferFinished(transfer)) return;
+
+        transfer.state = TRANSFER_STATES.REJECTED;
+        transfer.reason = message.payload.reason || 'declined';
+        this.notify(transfer);
+        await this.discard(transfer);
+    }
+
+    async handleChunk(message) {
+        const transfer = this.findOwned(message, TRANSFER_DIRECTIONS.INCOMING);
+        if (!transfer || transfer.state !== TRANSFER_STATES.TRANSFERRING) return;
+
+        const { chunkIndex, data } = message.payload;
+        if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= transfer.totalChunks) {
+            await this.abort(transfer, `invalid chunk index ${chunkIndex}`);
+            return;
+        }
+
+        if (transfer.received[chunkIndex]) return;
+
+        const bytes = typeof data === 'string' ? LP2PIdentity.base64ToArrayBuffer(data) : data;
+        const isLast = chunkIndex === transfer.totalChunks - 1;
+        const expected = isLast ? transfer.size - chunkIndex * transfer.chunkSize : transfer.chunkSize;
+        if (bytes.byteLength !== expected) {
+            await this.abort(transfer, `chunk ${chunkIndex} is ${bytes.byteLength} bytes, expected ${expected}`);
+            return;
+        }
+
+        transfer.received[chunkIndex] = 1;
+        transfer.receivedChunks++;
+
+        // Chain writes so every earlier chunk is stored before we reassemble.
+        // Chunks are stored as Blobs so the reassembled file stays disk backed.
+        if (this.store) {
+            const chunk = new Blob([bytes]);
+            transfer.writes = (transfer.writes || Promise.resolve())
+                .then(() => this.store.putChunk(transfer.fileId, chunkIndex, chunk));
+            const tail = transfer.writes;
+            await tail;
+            // A later chunk's write is still pending: its handler finalizes
+            if (tail !== transfer.writes) return;
+        } else {
+            transfer.chunks[chunkIndex] = bytes;
+        }
+        this.notify(transfer);
+
+        if (transfer.receivedChunks === transfer.totalChunks && transfer.state === TRANSFER_STATES.TRANSFERRING) {
+            await this.finalize(transfer);
+        }
+    }
+
+    async handleCancel(message) {
+        const transfer = this.findOwned(message);
+        if (!transfer || isTransferFinished(transfer)) return;
+
+        transfer.state = TRANSFER_STATES.CANCELLED;
+        transfer.reason = message.payload.reason || 'cancelled by peer';
+        transfer.chunks = null;
+        this.notify(transfer);
+        await this.discard(transfer);
+    }
+
+    async handleComplete(message) {
+        const transfer = this.findOwned(message, TRANSFER_DIRECTIONS.OUTGOING);
+        if (!transfer || isTransferFinished(transfer)) return;
+
+        transfer.state = TRANSFER_STATES.COMPLETE;
+        transfer.sentChunks = transfer.totalChunks;
+        this.notify(transfer);
+        await this.discard(transfer);
+    }
+
+    /**
+     * Stream the given chunks of an outgoing file. A newer call (e.g. after
+     * a RESUME) supersedes any loop that is still running. Never rejects: a
+     * failed send interrupts the transfer.
+     */
+    async sendChunks(transfer, indexes) {
+        const generation = (transfer.generation || 0) + 1;
+        transfer.generation = generation;
+
+        try {
+            // Chunks cut for binary frames are too large for JSON, and the
+            // receiver counts and checks them by the offered chunkSize, so a
+            // peer that came back without binary support cannot take the rest
+            if (transfer.chunkSize > LP2P.LIMITS.MAX_CHUNK_SIZE && !this.supportsBinary(transfer.peer)) {
+                await this.abort(transfer, 'peer no longer accepts binary chunks');
+                return;
+            }
+
+            for (const index of indexes) {
+                if (transfer.state !== TRANSFER_STATES.TRANSFERRING || transfer.generation !== generation) return;
+
+                const start = index * transfer.chunkSize;
+                const slice = transfer.file.slice(start, start + transfer.chunkSize);
+                const bytes = await slice.arrayBuffer();
+                // Raw bytes go out as a binary frame; older peers get base64 in JSON
+                const data = this.supportsBinary(transfer.peer)
+                    ? bytes
+                    : LP2PIdentity.arrayBufferToBase64(bytes);
+                const isLast = index === transfer.totalChunks - 1;
+
+                const chunk = LP2P.MessageFactory.createFileChunk(
+                    this.peerId,
+                    transfer.peer,
+                    transfer.fileId,
+                    index,
+                    data,
+                    isLast
+                );
+                await this.send(chunk);
+
+                transfer.sentChunks++;
+                this.notify(transfer);
+            }
+        } catch (error) {
+            console.warn(`Sending ${transfer.name} interrupted:`, error);
+            this.interrupt(transfer);
+        }
+    }
+
+    /**
+     * Reassemble and verify an incoming file once every chunk arrived
+     */
+    async finalize(transfer) {
+        transfer.state = TRANSFER_STATES.VERIFYING;
+        this.notify(transfer);
+
+        const chunks = this.store ? await this.store.getChunks(transfer.fileId) : transfer.chunks;
+        const blob = new Blob(chunks, { type: transfer.mimeType });
+        transfer.chunks = null;
+
+        if (blob.size !== transfer.size) {
+            await this.abort(transfer, `size mismatch: expected ${transfer.size}, got ${blob.size}`);
+            return;
+        }
+
+        if (transfer.hash) {
+            const hash = await hashBlob(blob);
+            if (hash !== transfer.hash) {
+                await this.abort(transfer, 'hash mismatch');
+                return;
+            }
+        }
+
+        transfer.blob = blob;
+        transfer.state = TRANSFER_STATES.COMPLETE;
+        this.notify(transfer);
+
+        // Keep the record (without chunks) so a re-offer can be answered with COMPLETE
+        if (this.store) {
+            await this.store.deleteChunks(transfer.fileId);
+            await this.persist(transfer);
+        }
+
+        await this.sendControl(transfer, LP2P.FILE_ACTIONS.COMPLETE);
+    }
+
+    /**
+     * Fail a transfer locally and tell the peer why
+     */
+    async abort(transfer, reason) {
+        this.fail(transfer, reason);
+        await this.sendControl(transfer, LP2P.FILE_ACTIONS.CANCEL, reason);
+    }
+
+    fail(transfer, reason) {
+        transfer.state = TRANSFER_STATES.FAILED;
+        transfer.reason = reason;
+        transfer.chunks = null;
+        this.notify(transfer);
+        this.discard(transfer);
+    }
+
+    interrupt(transfer) {
+        if (isTransferFinished(transfer) || transfer.state === TRANSFER_STATES.INTERRUPTED) return;
+
+        transfer.state = TRANSFER_STATES.INTERRUPTED;
+        this.notify(transfer);
+        this.persist(transfer);
+    }
+
+    /**
+     * Ask the sender for the chunks we are still missing
+     */
+    async requestResume(transfer) {
+        transfer.state = TRANSFER_STATES.TRANSFERRING;
+        if (!this.store && !transfer.chunks) {
+            transfer.chunks = new Array(transfer.totalChunks);
+        }
+        this.notify(transfer);
+
+        const resume = LP2P.MessageFactory.createFileResume(
+            this.peerId,
+            transfer.peer,
+            transfer.fileId,
+            bitmapToRanges(transfer.received)
+        );
+
+        try {
+            await this.send(resume);
+        } catch (error) {
+            this.interrupt(transfer);
+        }
+    }
+
+    async resendOffer(transfer) {
+        const offer = LP2P.MessageFactory.createFileOffer(this.peerId, transfer.peer, {
+            fileId: transfer.fileId,
+            name: transfer.name,
+            size: transfer.size,
+            mimeType: transfer.mimeType,
+            chunkSize: transfer.chunkSize,
+            hash: transfer.hash
+        });
+
+        try {
+            await this.send(offer);
+        } catch (error) {
+            this.interrupt(transfer);
+        }
+    }
+
+    /**
+     * Persist the resumable parts of a transfer
+     */
+    async persist(transfer) {
+        if (!this.store) return;
+
+        const record = {
+            fileId: transfer.fileId,
+            direction: transfer.direction,
+            peer: transfer.peer,
+            name: transfer.name,
+            size: transfer.size,
+            mimeType: transfer.mimeType,
+            chunkSize: transfer.chunkSize,
+            totalChunks: transfer.totalChunks,
+            hash: transfer.hash,
+            state: transfer.state,
+            updatedAt: Date.now()
+        };
+        if (transfer.direction === TRANSFER_DIRECTIONS.OUTGOING) {
+            record.file = transfer.file;
+            record.accepted = transfer.accepted;
+            record.sentChunks = transfer.sentChunks;
+        }
+
+        try {
+            await this.store.putTransfer(record);
+        } catch (error) {
+            console.warn('Failed to persist transfer', transfer.fileId, error);
+        }
+    }
+
+    /**
+     * Drop persisted state for a transfer that can no longer resume
+     */
+    async discard(transfer) {
+        if (!this.store) return;
+
+        try {
+            await this.store.deleteTransfer(transfer.fileId);
+        } catch (error) {
+            console.warn('Failed to discard transfer', transfer.fileId, error);
+        }
+    }
+
+    async sendControl(transfer, action, reason = null) {
+        const message = LP2P.MessageFactory.createFileControl(
+            this.peerId,
+            transfer.peer,
+            action,
+            transfer.fileId,
+            reason
+        );
+
+        try {
+            await this.send(message);
+        } catch (error) {
+            console.warn(`Failed to send file ${action} for ${transfer.fileId}:`, error);
+        }
+    }
+
+    /**
+     * Look up the transfer a message refers to, ignoring messages from other peers
+     */
+    findOwned(message, direction = null) {
+        const transfer = this.transfers.get(message.payload.fileId);
+        if (!transfer || transfer.peer !== message.from) return null;
+        if (direction && transfer.direction !== direction) return null;
+        return transfer;
+    }
+
+    notify(transfer) {
+        if (this.onUpdate) {
+            this.onUpdate(transfer);
+        }
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PFileTransfer = {
+        // Constants
+        TRANSFER_DIRECTIONS,
+        TRANSFER_STATES,
+
+        // Classes
+        FileTransferManager,
+
+        // Utilities
+        hashBlob,
+        bitmapToRanges,
+        rangesToBitmap
+    };
+}
@@ -0,0 +1,212 @@
+/**
+ * Connection Heartbeat
+ *
+ * Pings every open connection on a fixed interval and times the PONGs to
+ * measure round-trip time. A connection that misses pongs is marked
+ * degraded, and after more misses dead, so the caller can tear down
+ * RTCPeerConnections that stay "open" after the other side has gone.
+ * Any frame received on a connection counts as a sign of life, so busy
+ * links (e.g. during a file transfer) are not mistaken for dead ones.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const HEARTBEAT = {
+    INTERVAL: 5000,         // Ping each connection every 5s
+    DEGRADED_AFTER: 2,      // Missed pongs in a row before a connection is degraded...
+    DEAD_AFTER: 6,          // ...and before it is considered dead (30s of silence)
+    RTT_SMOOTHING: 0.25     // Weight of the newest sample in the smoothed RTT
+};
+
+const CONNECTION_HEALTH = {
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    DEAD: 'dead'
+};
+
+// ============================================================================
+// HeartbeatMonitor Class
+// ============================================================================
+
+class HeartbeatMonitor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.sendPing - (connectionId) => ping message id, or null if it could not be sent
+     * @param {Function} options.isOpen - (connectionId) => boolean; stops tracking closed connections
+     * @param {Function} [options.onChange] - (connectionId, stats) => void; new RTT sample or health
+     * @param {Function} [options.onDead] - (connectionId, stats) => void; the connection should be closed
+     * @param {Object} [options.timing] - Overrides for HEARTBEAT
+     */
+    constructor(options = {}) {
+        this.sendPing = options.sendPing;
+        this.isOpen = options.isOpen;
+        this.onChange = options.onChange || (() => {});
+        this.onDead = options.onDead || (() => {});
+        this.timing = { ...HEARTBEAT, ...options.timing };
+        this.tracked = new Map();   // connectionId -> { peerId, rtt, smoothedRtt, missed, health, lastHeard }
+        this.pending = new Map();   // ping id -> { connectionId, peerId, sentAt }
+        this.timer = null;
+    }
+
+    /**
+     * Start pinging a connection once we know its peer
+     */
+    track(connectionId, peerId, now = Date.now()) {
+        const existing = this.tracked.get(connectionId);
+        if (existing && existing.peerId === peerId) return;
+
+        this.tracked.set(connectionId, {
+            peerId,
+            rtt: null,
+            smoothedRtt: null,
+            missed: 0,
+            health: CONNECTION_HEALTH.HEALTHY,
+            lastHeard: now
+        });
+        if (!this.timer) this.timer = setInterval(() => this.tick(), this.timing.INTERVAL);
+    }
+
+    untrack(connectionId) {
+        this.tracked.delete(connectionId);
+        for (const [id, ping] of this.pending) {
+            if (ping.connectionId === connectionId) this.pending.delete(id);
+        }
+        if (this.tracked.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Count the pings that went unanswered since the last tick, then ping again
+     */
+    tick(now = Date.now()) {
+        for (const [connectionId, entry] of this.tracked) {
+            if (!this.isOpen(connectionId)) {
+                this.untrack(connectionId);
+                continue;
+            }
+
+            let unanswered = false;
+            for (const [id, ping] of this.pending) {
+                if (ping.connectionId !== connectionId) continue;
+                this.pending.delete(id);
+                unanswered = true;
+            }
+            if (unanswered && now - entry.lastHeard >= this.timing.INTERVAL) {
+                entry.missed++;
+                if (this.updateHealth(connectionId, entry)) continue;
+            }
+
+            const pingId = this.sendPing(connectionId);
+            if (pingId) this.pending.set(pingId, { connectionId, peerId: entry.peerId, sentAt: now });
+        }
+    }
+
+    /**
+     * A pong arrived. Returns the round-trip time, or null if it does not
+     * answer a ping of ours to that peer.
+     */
+    handlePong(pingId, fromPeerId, now = Date.now()) {
+        const ping = this.pending.get(pingId);
+        if (!ping || ping.peerId !== fromPeerId) return null;
+        this.pending.delete(pingId);
+
+        const entry = this.tracked.get(ping.connectionId);
+        if (!entry) return null;
+
+        const rtt = now - ping.sentAt;
+        entry.rtt = rtt;
+        entry.smoothedRtt = entry.smoothedRtt === null
+            ? rtt
+            : Math.round(entry.smoothedRtt + this.timing.RTT_SMOOTHING * (rtt - entry.smoothedRtt));
+        this.heard(ping.connectionId, now);
+        this.onChange(ping.connectionId, this.stats(ping.connectionId));
+        return rtt;
+    }
+
+    /**
+     * Something arrived on a connection, so it is alive
+     */
+    heard(connectionId, now = Date.now()) {
+        const entry = this.tracked.get(connectionId);
+        if (!entry) return;
+        entry.lastHeard = now;
+        if (entry.missed > 0) {
+            entry.missed = 0;
+            this.updateHealth(connectionId, entry);
+        }
+    }
+
+    /**
+     * Derive health from the missed pong count. Returns true once the
+     * connection is dead (and no longer tracked).
+     */
+    updateHealth(connectionId, entry) {
+        let health = CONNECTION_HEALTH.HEALTHY;
+        if (entry.missed >= this.timing.DEAD_AFTER) health = CONNECTION_HEALTH.DEAD;
+        else if (entry.missed >= this.timing.DEGRADED_AFTER) health = CONNECTION_HEALTH.DEGRADED;
+        if (health === entry.health) return false;
+
+        entry.health = health;
+        const stats = this.stats(connectionId);
+        if (health === CONNECTION_HEALTH.DEAD) {
+            this.untrack(connectionId);
+            this.onDead(connectionId, stats);
+        }
+        this.onChange(connectionId, stats);
+        return health === CONNECTION_HEALTH.DEAD;
+    }
+
+    /**
+     * A connection's latest and smoothed RTT (ms), missed pongs and health
+     */
+    stats(connectionId) {
+        const entry = this.tracked.get(connectionId);
+        if (!entry) return null;
+        const { peerId, rtt, smoothedRtt, missed, health, lastHeard } = entry;
+        return { connectionId, peerId, rtt, smoothedRtt, missed, health, lastHeard };
+    }
+
+    /**
+     * Stats of the best tracked connection to a peer (lowest smoothed RTT)
+     */
+    statsForPeer(peerId) {
+        let best = null;
+        for (const connectionId of this.tracked.keys()) {
+            const stats = this.stats(connectionId);
+            if (stats.peerId !== peerId) continue;
+            if (!best || (stats.smoothedRtt !== null && (best.smoothedRtt === null || stats.smoothedRtt < best.smoothedRtt))) {
+                best = stats;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Stop all pings
+     */
+    clear() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.tracked.clear();
+        this.pending.clear();
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PHeartbeat = {
+        // Constants
+        HEARTBEAT,
+        CONNECTION_HEALTH,
+
+        // Classes
+        HeartbeatMonitor
+    };
+}
@@ -365,6 +365,7 @@ class TrustRecord {
         this.profile = data.profile || { name: 'Unknown' };
         
         this.introducedBy = data.introducedBy || null;
+        this.lastSeen = data.lastSeen || null;     // Last time we were connected to them
         this.signatures = data.signatures || [];
         
         this.notes = data.notes || '';
@@ -412,6 +413,7 @@ class TrustRecord {
             verifiedAt: this.verifiedAt,
             profile: this.profile,
             introducedBy: this.introducedBy,
+            lastSeen: this.lastSeen,
             signatures: this.signatures,
             notes: this.notes
         };
@@ -563,6 +565,17 @@ class IdentityManager {
         return this.knownPeers.get(peerInfo.id);
     }
 
+    /**
+     * Record that we are (or just were) connected to a known peer
+     */
+    async markSeen(peerId, at = Date.now()) {
+        const peer = this.knownPeers.get(peerId);
+        if (peer) {
+            peer.lastSeen = at;
+            await this.save();
+        }
+    }
+
     /**
      * Get a known peer
      */
@@ -667,6 +680,7 @@ if (typeof window !== 'undefined') {
         
         // Utilities
         formatFingerprint,
+        generatePeerId,
         arrayBufferToBase64,
         base64ToArrayBuffer
     };
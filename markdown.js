@@ -0,0 +1,274 @@
+/**
+ * Message Formatting
+ *
+ * TEXT messages are "plain", "markdown" or "html". Markdown is rendered by a
+ * small built-in renderer (code blocks, lists, quotes, links, emphasis).
+ * Its output, and any "html" we receive, goes through an allowlist
+ * sanitizer before it reaches the page: the markup is parsed into an inert
+ * document and only allowed elements and attributes are rebuilt, so scripts,
+ * event handlers, styles and unsafe links never survive. Where no parser is
+ * available, rich formats are shown as plain text.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TEXT_FORMATS = {
+    PLAIN: 'plain',
+    MARKDOWN: 'markdown',
+    HTML: 'html'
+};
+
+const SANITIZER = {
+    // Allowed elements and the attributes each may keep
+    ALLOWED_TAGS: {
+        p: [], br: [], strong: [], b: [], em: [], i: [], del: [], s: [],
+        code: [], pre: [], blockquote: [], ul: [], ol: [], li: [],
+        a: ['href', 'title']
+    },
+    // Removed together with everything inside them; other unknown elements
+    // are replaced by their contents
+    DROPPED_TAGS: ['script', 'style', 'template', 'iframe', 'frame', 'object', 'embed',
+        'svg', 'math', 'noscript', 'textarea', 'select', 'head', 'title'],
+    LINK_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+    MAX_DEPTH: 32       // Deeper nesting is flattened to its text
+};
+
+// ============================================================================
+// Markdown Renderer
+// ============================================================================
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Absolute http(s) or mailto links only
+ */
+function isSafeUrl(url) {
+    try {
+        return SANITIZER.LINK_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+const MARKDOWN_SYNTAX = {
+    FENCE: /^\s*```/,
+    QUOTE: /^\s*>\s?/,
+    BULLET: /^\s*[-*+]\s+/,
+    NUMBERED: /^\s*\d+[.)]\s+/,
+    // `code`, [label](url) or a bare http(s) URL. A label cannot contain
+    // brackets, so an unclosed "[" only scans as far as the next one.
+    INLINE: /(`+)([\s\S]*?[^`])\1(?!`)|\[([^\][]+)\]\(([^()\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,:;!?"')\]])/g,
+    // Emphasis delimiters and the element each pair becomes
+    EMPHASIS: { '**': 'strong', '__': 'strong', '*': 'em', '_': 'em', '~~': 'del' }
+};
+
+/**
+ * Render markdown to HTML. The result still needs sanitizeHtml().
+ */
+function renderMarkdown(text, depth = 0) {
+    const { FENCE, QUOTE, BULLET, NUMBERED } = MARKDOWN_SYNTAX;
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (FENCE.test(line)) {
+            const code = [];
+            for (i++; i < lines.length && !FENCE.test(lines[i]); i++) code.push(lines[i]);
+            i++;    // Closing fence
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if (!line.trim()) {
+            i++;
+        } else if (QUOTE.test(line) && depth < SANITIZER.MAX_DEPTH) {
+            const quoted = [];
+            for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].replace(QUOTE, ''));
+            html.push(`<blockquote>${renderMarkdown(quoted.join('\n'), depth + 1)}</blockquote>`);
+        } else if (BULLET.test(line) || NUMBERED.test(line)) {
+            const marker = BULLET.test(line) ? BULLET : NUMBERED;
+            const items = [];
+            for (; i < lines.length && marker.test(lines[i]); i++) {
+                items.push(`<li>${renderInline(lines[i].replace(marker, ''))}</li>`);
+            }
+            const tag = marker === BULLET ? 'ul' : 'ol';
+            html.push(`<${tag}>${items.join('')}</${tag}>`);
+        } else {
+            const paragraph = [line];
+            for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) paragraph.push(lines[i]);
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+        }
+    }
+
+    return html.join('');
+}
+
+function startsBlock(line) {
+    const { FENCE, QUOTE, BULLET, NUMBERED } = MARKDOWN_SYNTAX;
+    return FENCE.test(line) || QUOTE.test(line) || BULLET.test(line) || NUMBERED.test(line);
+}
+
+/**
+ * Render one line: code spans and links first, emphasis in the text between them
+ */
+function renderInline(text) {
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(MARKDOWN_SYNTAX.INLINE)) {
+        html += renderEmphasis(escapeHtml(text.slice(last, match.index)));
+        last = match.index + match[0].length;
+
+        const [whole, , code, label, url, bare] = match;
+        if (code !== undefined) {
+            html += `<code>${escapeHtml(code.trim())}</code>`;
+        } else if (label !== undefined) {
+            html += isSafeUrl(url)
+                ? `<a href="${escapeHtml(url)}">${renderEmphasis(escapeHtml(label))}</a>`
+                : renderEmphasis(escapeHtml(whole));
+        } else {
+            html += `<a href="${escapeHtml(bare)}">${escapeHtml(bare)}</a>`;
+        }
+    }
+    return html + renderEmphasis(escapeHtml(text.slice(last)));
+}
+
+/**
+ * **strong**, *em* / _em_ and ~~strikethrough~~ in already escaped text.
+ * A single pass with a stack of open delimiters per kind: a closer pairs
+ * with the latest opener of its kind, and delimiters opened inside that
+ * span and never closed stay literal. Unmatched delimiters cost nothing
+ * extra, unlike a regex that rescans the rest of the line for each one.
+ */
+function renderEmphasis(html) {
+    const { EMPHASIS } = MARKDOWN_SYNTAX;
+    const parts = [];
+    const openers = {};     // delimiter -> indexes in parts of unmatched openers
+    for (const delimiter of Object.keys(EMPHASIS)) openers[delimiter] = [];
+
+    let last = 0;
+    for (let i = 0; i < html.length;) {
+        const double = html.slice(i, i + 2);
+        const delimiter = EMPHASIS[double] ? double : EMPHASIS[html[i]] ? html[i] : null;
+        if (!delimiter) {
+            i++;
+            continue;
+        }
+        if (i > last) parts.push(html.slice(last, i));
+
+        // Like the text around it: an opener is followed by a non-space, a
+        // closer follows one, and _ does not open or close inside a word
+        const before = html[i - 1] || ' ';
+        const after = html[i + delimiter.length] || ' ';
+        const intraword = delimiter[0] === '_';
+        const canOpen = /\S/.test(after) && !(intraword && /\w/.test(before));
+        const canClose = /\S/.test(before) && !(intraword && /\w/.test(after));
+
+        const open = openers[delimiter];
+        if (canClose && open.length > 0 && open[open.length - 1] !== parts.length - 1) {
+            const start = open.pop();
+            for (const other of Object.values(openers)) {
+                while (other.length > 0 && other[other.length - 1] > start) other.pop();
+            }
+            parts[start] = `<${EMPHASIS[delimiter]}>`;
+            parts.push(`</${EMPHASIS[delimiter]}>`);
+        } else {
+            if (canOpen) open.push(parts.length);
+            parts.push(delimiter);
+        }
+        i += delimiter.length;
+        last = i;
+    }
+    if (last < html.length) parts.push(html.slice(last));
+    return parts.join('');
+}
+
+// ============================================================================
+// Sanitizer
+// ============================================================================
+
+/**
+ * Parse untrusted HTML and rebuild only what the allowlist permits.
+ * Returns a DocumentFragment of `doc`.
+ */
+function sanitizeHtml(html, doc = document) {
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    const fragment = doc.createDocumentFragment();
+    copyAllowed(parsed.body, fragment, doc, 0);
+    return fragment;
+}
+
+function copyAllowed(source, target, doc, depth) {
+    for (const node of source.childNodes) {
+        if (node.nodeType === 3) {                  // Text
+            target.appendChild(doc.createTextNode(node.data));
+            continue;
+        }
+        if (node.nodeType !== 1) continue;          // Comments etc.
+
+        const tag = node.localName;
+        if (SANITIZER.DROPPED_TAGS.includes(tag)) continue;
+
+        const allowed = SANITIZER.ALLOWED_TAGS[tag];
+        if (!allowed || depth >= SANITIZER.MAX_DEPTH) {
+            if (depth >= SANITIZER.MAX_DEPTH) target.appendChild(doc.createTextNode(node.textContent));
+            else copyAllowed(node, target, doc, depth + 1);
+            continue;
+        }
+
+        const element = doc.createElement(tag);
+        for (const name of allowed) {
+            const value = node.getAttribute(name);
+            if (value === null) continue;
+            if (name === 'href' && !isSafeUrl(value)) continue;
+            element.setAttribute(name, value);
+        }
+        if (tag === 'a') {
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer nofollow');
+        }
+        copyAllowed(node, element, doc, depth + 1);
+        target.appendChild(element);
+    }
+}
+
+/**
+ * Message text as a DocumentFragment ready to insert into the page
+ */
+function renderFormatted(text, format = TEXT_FORMATS.PLAIN, doc = document) {
+    if (format === TEXT_FORMATS.PLAIN || typeof DOMParser === 'undefined') {
+        const fragment = doc.createDocumentFragment();
+        fragment.appendChild(doc.createTextNode(text));
+        return fragment;
+    }
+    // Rich text is never inserted without passing the sanitizer
+    const html = format === TEXT_FORMATS.MARKDOWN ? renderMarkdown(text) : text;
+    return sanitizeHtml(html, doc);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PMarkdown = {
+        // Constants
+        TEXT_FORMATS,
+        SANITIZER,
+
+        // Functions
+        escapeHtml,
+        isSafeUrl,
+        renderMarkdown,
+        sanitizeHtml,
+        renderFormatted
+    };
+}
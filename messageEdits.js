@@ -0,0 +1,233 @@
+/**
+ * Message Edits
+ *
+ * Authors can edit or delete chat messages they sent. An edit or delete is a
+ * TEXT message with `action` set and `replyTo` naming the original; it is
+ * signed like every TEXT message and only accepted from the original's
+ * author. Each change carries a revision number, so late or repeated copies
+ * are ignored, and a delete is final.
+ *
+ * The resulting state of each message (a "tombstone": current text or
+ * deleted, plus earlier versions) is kept in IndexedDB. It is applied to the
+ * original if that arrives later, and our own tombstones are sent again to
+ * the original's recipients when they reconnect.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const MESSAGE_EDITS = {
+    MAX_HISTORY: 20,        // Earlier versions kept per message
+    MAX_TRACKED: 1000,      // Recent messages remembered so they can be edited
+    MAX_TOMBSTONES: 2000    // Oldest tombstones are dropped beyond this
+};
+
+// ============================================================================
+// EditLog Class
+// ============================================================================
+
+class EditLog {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our peer ID
+     * @param {Function} options.send - async (record, peerIds) => void; sends a
+     *   tombstone as an edit or delete message
+     * @param {Function} [options.onChange] - (messageId, record) => void
+     * @param {Object} [options.store] - LP2PEditStore used to keep tombstones across reloads
+     */
+    constructor(options = {}) {
+        this.peerId = options.peerId;
+        this.send = options.send;
+        this.onChange = options.onChange || (() => {});
+        this.store = options.store || null;
+        this.messages = new Map();      // messageId -> { author, text, recipients, at }, oldest first
+        this.tombstones = new Map();    // messageId -> { messageId, author, recipients, revision, deleted, text, history, updatedAt }
+    }
+
+    /**
+     * Load tombstones saved before a reload
+     */
+    async restore() {
+        if (!this.store) return [];
+
+        const records = await this.store.getAllTombstones();
+        records.sort((a, b) => a.updatedAt - b.updatedAt);
+        for (const record of records) {
+            this.tombstones.set(record.messageId, record);
+        }
+        return records;
+    }
+
+    /**
+     * Remember a chat message we sent or received so it can be edited later
+     */
+    trackMessage(messageId, author, text, recipients = [], at = Date.now()) {
+        this.messages.set(messageId, { author, text, recipients, at });
+        if (this.messages.size > MESSAGE_EDITS.MAX_TRACKED) {
+            this.messages.delete(this.messages.keys().next().value);
+        }
+    }
+
+    /**
+     * The tombstone for a message, if `author` wrote it
+     */
+    lookup(messageId, author) {
+        const record = this.tombstones.get(messageId);
+        return record && record.author === author ? record : null;
+    }
+
+    /**
+     * The current text of a message (as written, before formatting)
+     */
+    textOf(messageId) {
+        const record = this.tombstones.get(messageId);
+        if (record) return record.text;
+        const original = this.messages.get(messageId);
+        return original ? original.text : null;
+    }
+
+    canEdit(messageId) {
+        const original = this.messages.get(messageId);
+        const record = this.tombstones.get(messageId);
+        return !!original && original.author === this.peerId && !(record && record.deleted);
+    }
+
+    /**
+     * Replace the text of one of our messages
+     */
+    async edit(messageId, text) {
+        const record = this.ownRecord(messageId);
+        if (text === record.text) return record;
+
+        this.pushHistory(record, Date.now());
+        record.text = text;
+        return this.commit(record);
+    }
+
+    /**
+     * Retract one of our messages
+     */
+    async remove(messageId) {
+        const record = this.ownRecord(messageId);
+        record.deleted = true;
+        record.text = null;
+        record.history = [];
+        return this.commit(record);
+    }
+
+    ownRecord(messageId) {
+        if (!this.canEdit(messageId)) {
+            throw new Error('Only messages you sent (and have not deleted) can be changed');
+        }
+        const original = this.messages.get(messageId);
+        return this.tombstones.get(messageId) || {
+            messageId,
+            author: this.peerId,
+            recipients: [...original.recipients],
+            revision: 0,
+            deleted: false,
+            text: original.text,
+            history: [],
+            updatedAt: original.at
+        };
+    }
+
+    async commit(record) {
+        record.revision++;
+        record.updatedAt = Date.now();
+        await this.save(record);
+        this.onChange(record.messageId, record);
+        await this.send(record, record.recipients);
+        return record;
+    }
+
+    pushHistory(record, at) {
+        if (record.text === null) return;
+        record.history.push({ text: record.text, at: record.updatedAt });
+        if (record.history.length > MESSAGE_EDITS.MAX_HISTORY) record.history.shift();
+        record.updatedAt = at;
+    }
+
+    /**
+     * Apply an edit or delete from a peer. Returns false if it is ignored.
+     */
+    async handle(message) {
+        const messageId = message.replyTo;
+        const { action, text, revision } = message.payload;
+
+        // Only the author can change a message
+        const original = this.messages.get(messageId);
+        const existing = this.tombstones.get(messageId);
+        if ((original && original.author !== message.from) || (existing && existing.author !== message.from)) {
+            console.warn('Ignoring', action, 'of', messageId, 'from someone other than its author:', message.from);
+            return false;
+        }
+
+        const record = existing || {
+            messageId,
+            author: message.from,
+            recipients: [],
+            revision: 0,
+            deleted: false,
+            text: original ? original.text : null,
+            history: [],
+            updatedAt: original ? original.at : message.timestamp
+        };
+        if (record.deleted || revision <= record.revision) return false;
+
+        if (action === LP2P.TEXT_ACTIONS.DELETE) {
+            record.deleted = true;
+            record.text = null;
+            record.history = [];
+            record.updatedAt = message.timestamp;
+        } else {
+            this.pushHistory(record, message.timestamp);
+            record.text = text;
+        }
+        record.revision = revision;
+
+        await this.save(record);
+        this.onChange(messageId, record);
+        return true;
+    }
+
+    /**
+     * A peer said HELLO: send it our changes to messages it was sent
+     */
+    peerConnected(pid) {
+        for (const record of this.tombstones.values()) {
+            if (record.author !== this.peerId || !record.recipients.includes(pid)) continue;
+            this.send(record, [pid]).catch(error => console.warn('Could not resend change of', record.messageId, 'to', pid, error.message));
+        }
+    }
+
+    async save(record) {
+        this.tombstones.delete(record.messageId);
+        this.tombstones.set(record.messageId, record);   // Most recently changed last
+
+        const dropped = [];
+        while (this.tombstones.size > MESSAGE_EDITS.MAX_TOMBSTONES) {
+            const oldest = this.tombstones.keys().next().value;
+            this.tombstones.delete(oldest);
+            dropped.push(oldest);
+        }
+        if (!this.store) return;
+        await this.store.putTombstone(record);
+        for (const messageId of dropped) await this.store.deleteTombstone(messageId);
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PMessageEdits = {
+        // Constants
+        MESSAGE_EDITS,
+
+        // Classes
+        EditLog
+    };
+}
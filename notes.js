@@ -0,0 +1,491 @@
+/**
+ * Collaborative Notes
+ *
+ * Shared plain-text notes edited concurrently by several peers. Each note is
+ * a sequence CRDT (RGA): every character has a unique id (Lamport clock,
+ * site), is inserted after another character, and is only ever tombstoned,
+ * never removed. Operations are idempotent and commute once their reference
+ * exists, so peers that apply the same set of operations in any order end up
+ * with the same text.
+ *
+ * Operations travel as DATA messages (dataType "note"). Each site numbers its
+ * operations 1, 2, 3...; a note's version vector is the highest contiguous
+ * number seen per site. A reconnecting peer sends its version vectors and
+ * gets back every operation it is missing.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const NOTES = {
+    DATA_TYPE: 'note',
+    SCHEMA: 'note-v1',
+    MAX_BATCH: 500,         // Operations per DATA message
+    SEND_DELAY: 250,        // Local edits are collected for this long before sending
+    SAVE_DELAY: 1000        // ...and for this long before saving
+};
+
+const NOTE_MESSAGE_KINDS = {
+    OPS: 'ops',             // Operations for one note
+    SYNC: 'sync'            // Version vectors of the sender's notes; answered with missing ops
+};
+
+const NOTE_SCHEMA = {
+    type: 'object',
+    required: ['kind'],
+    properties: {
+        kind: { type: 'string', enum: Object.values(NOTE_MESSAGE_KINDS) },
+        noteId: { type: 'string', minLength: 1, maxLength: 64 },
+        ops: {
+            type: 'array',
+            maxItems: NOTES.MAX_BATCH,
+            items: {
+                type: 'object',
+                required: ['site', 'seq', 'clock', 'action'],
+                properties: {
+                    site: { type: 'string', minLength: 3, maxLength: 64 },
+                    seq: { type: 'integer', minimum: 1 },
+                    clock: { type: 'integer', minimum: 1 },
+                    action: { type: 'string', enum: ['insert', 'delete'] },
+                    after: { type: ['array', 'null'], maxItems: 2 },
+                    target: { type: 'array', minItems: 2, maxItems: 2 },
+                    value: { type: 'string', minLength: 1, maxLength: 2 }
+                }
+            }
+        },
+        versions: { type: 'object' }
+    }
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Order character ids: by Lamport clock, then by site
+ */
+function compareIds(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function idKey(id) {
+    return `${id[0]}@${id[1]}`;
+}
+
+function isId(value) {
+    return Array.isArray(value) && value.length === 2
+        && Number.isInteger(value[0]) && typeof value[1] === 'string';
+}
+
+/**
+ * The single edit turning `before` into `after`: { index, removed, inserted }
+ * (by code point, so surrogate pairs stay whole)
+ */
+function diffText(before, after) {
+    const a = Array.from(before);
+    const b = Array.from(after);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    return { index: start, removed: endA - start, inserted: b.slice(start, endB).join('') };
+}
+
+// ============================================================================
+// TextCRDT Class
+// ============================================================================
+
+class TextCRDT {
+    /**
+     * @param {string} site - Our peer ID
+     * @param {Array} [ops] - Operation log to rebuild from
+     */
+    constructor(site, ops = []) {
+        this.site = site;
+        this.clock = 0;
+        this.seq = 0;
+        this.elements = [];         // { id, value, deleted } in document order
+        this.index = new Map();     // idKey -> element
+        this.ops = [];              // Every applied operation, in application order
+        this.seen = new Set();      // "site:seq" of applied operations
+        this.versions = {};         // site -> highest contiguous seq applied
+        this.pending = [];          // Remote operations waiting for the character they refer to
+
+        for (const op of ops) {
+            this.apply(op);
+        }
+        this.seq = this.versions[site] || 0;
+    }
+
+    text() {
+        return this.elements.filter(el => !el.deleted).map(el => el.value).join('');
+    }
+
+    /**
+     * Turn a local edit (the editor's new text) into operations, applied
+     * here and returned for sending
+     */
+    edit(newText) {
+        const { index, removed, inserted } = diffText(this.text(), newText);
+        const visible = this.elements.filter(el => !el.deleted);
+        const ops = [];
+
+        for (const el of visible.slice(index, index + removed)) {
+            ops.push(this.localOp({ action: 'delete', target: el.id }));
+        }
+
+        let after = index > 0 ? visible[index - 1].id : null;
+        for (const value of Array.from(inserted)) {
+            const op = this.localOp({ action: 'insert', after, value });
+            ops.push(op);
+            after = [op.clock, op.site];
+        }
+        return ops;
+    }
+
+    localOp(fields) {
+        const op = { site: this.site, seq: this.seq + 1, clock: this.clock + 1, ...fields };
+        this.seq++;
+        this.apply(op);
+        return op;
+    }
+
+    /**
+     * Apply an operation. Returns the operations that took effect (this one,
+     * and any waiting operations it unblocked); duplicates return none.
+     */
+    apply(op) {
+        if (!this.isValid(op) || this.seen.has(`${op.site}:${op.seq}`)) return [];
+        if (this.pending.some(p => p.site === op.site && p.seq === op.seq)) return [];
+
+        if (!this.integrate(op)) {
+            this.pending.push(op);
+            return [];
+        }
+
+        const applied = [op];
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (const waiting of [...this.pending]) {
+                if (this.integrate(waiting)) {
+                    this.pending.splice(this.pending.indexOf(waiting), 1);
+                    applied.push(waiting);
+                    progress = true;
+                }
+            }
+        }
+        return applied;
+    }
+
+    isValid(op) {
+        if (!op || typeof op.site !== 'string' || !Number.isInteger(op.seq) || !Number.isInteger(op.clock)) {
+            return false;
+        }
+        if (op.action === 'insert') {
+            return (op.after === null || isId(op.after)) && typeof op.value === 'string' && op.value.length > 0;
+        }
+        return op.action === 'delete' && isId(op.target);
+    }
+
+    /**
+     * Put an operation into the document. Returns false if the character it
+     * refers to has not arrived yet.
+     */
+    integrate(op) {
+        if (op.action === 'insert') {
+            const after = op.after && this.index.get(idKey(op.after));
+            if (op.after && !after) return false;
+
+            const id = [op.clock, op.site];
+            if (!this.index.has(idKey(id))) {
+                // Concurrent inserts at the same spot: the newer id goes first
+                let i = after ? this.elements.indexOf(after) + 1 : 0;
+                while (i < this.elements.length && compareIds(this.elements[i].id, id) > 0) i++;
+
+                const element = { id, value: op.value, deleted: false };
+                this.elements.splice(i, 0, element);
+                this.index.set(idKey(id), element);
+            }
+        } else {
+            const target = this.index.get(idKey(op.target));
+            if (!target) return false;
+            target.deleted = true;
+        }
+
+        this.clock = Math.max(this.clock, op.clock);
+        this.ops.push(op);
+        this.seen.add(`${op.site}:${op.seq}`);
+        let version = this.versions[op.site] || 0;
+        while (this.seen.has(`${op.site}:${version + 1}`)) version++;
+        this.versions[op.site] = version;
+        return true;
+    }
+
+    /**
+     * Operations the holder of `versions` has not seen
+     */
+    opsSince(versions = {}) {
+        return this.ops.filter(op => op.seq > (versions[op.site] || 0));
+    }
+}
+
+// ============================================================================
+// NotesManager Class
+// ============================================================================
+
+class NotesManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our peer ID
+     * @param {Function} options.send - async (peerId, content) => void; sends a
+     *   note DATA message
+     * @param {Function} options.isReachable - (peerId) => boolean
+     * @param {Function} [options.onUpdate] - (note, { remote }) => void
+     * @param {Object} [options.store] - LP2PNotesStore used to keep notes across reloads
+     */
+    constructor(options = {}) {
+        this.peerId = options.peerId;
+        this.send = options.send;
+        this.isReachable = options.isReachable;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.store = options.store || null;
+        this.notes = new Map();     // noteId -> { id, doc, peers, updatedAt }
+        this.outgoing = new Map();  // noteId -> local ops not sent yet
+        this.sendTimers = new Map();
+        this.saveTimers = new Map();
+    }
+
+    /**
+     * Load notes saved before a reload
+     */
+    async restore() {
+        if (!this.store) return [];
+
+        const records = await this.store.getAllNotes();
+        for (const record of records) {
+            this.notes.set(record.id, {
+                id: record.id,
+                doc: new TextCRDT(this.peerId, record.ops),
+                peers: new Set(record.peers),
+                updatedAt: record.updatedAt
+            });
+        }
+        return this.list();
+    }
+
+    create() {
+        const note = {
+            id: crypto.randomUUID(),
+            doc: new TextCRDT(this.peerId),
+            peers: new Set(),
+            updatedAt: Date.now()
+        };
+        this.notes.set(note.id, note);
+        this.save(note);
+        this.onUpdate(note, { remote: false });
+        return note;
+    }
+
+    get(noteId) {
+        return this.notes.get(noteId) || null;
+    }
+
+    /**
+     * All notes, most recently changed first
+     */
+    list() {
+        return [...this.notes.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Title of a note: its first non-empty line
+     */
+    titleOf(note) {
+        const line = note.doc.text().split('\n').find(l => l.trim());
+        return line ? line.trim().slice(0, 60) : 'Untitled note';
+    }
+
+    /**
+     * Record a local edit (the editor's full new text)
+     */
+    edit(noteId, text) {
+        const note = this.notes.get(noteId);
+        if (!note) return;
+
+        const ops = note.doc.edit(text);
+        if (ops.length === 0) return;
+
+        note.updatedAt = Date.now();
+        const queued = this.outgoing.get(noteId) || [];
+        queued.push(...ops);
+        this.outgoing.set(noteId, queued);
+        if (!this.sendTimers.has(noteId)) {
+            this.sendTimers.set(noteId, setTimeout(() => this.flush(noteId), NOTES.SEND_DELAY));
+        }
+        this.save(note);
+        this.onUpdate(note, { remote: false });
+    }
+
+    /**
+     * Send collected local edits to everyone the note is shared with
+     */
+    flush(noteId) {
+        clearTimeout(this.sendTimers.get(noteId));
+        this.sendTimers.delete(noteId);
+        const ops = this.outgoing.get(noteId) || [];
+        this.outgoing.delete(noteId);
+
+        const note = this.notes.get(noteId);
+        if (!note || ops.length === 0) return;
+        for (const pid of note.peers) {
+            this.sendOps(pid, noteId, ops);
+        }
+    }
+
+    /**
+     * Share a note with a peer and send them all of it
+     */
+    share(noteId, pid) {
+        const note = this.notes.get(noteId);
+        if (!note || pid === this.peerId) return;
+
+        note.peers.add(pid);
+        this.save(note);
+        this.onUpdate(note, { remote: false });
+        this.sendOps(pid, noteId, note.doc.ops);
+    }
+
+    /**
+     * Forget a note on this device (peers keep their copies)
+     */
+    async remove(noteId) {
+        this.notes.delete(noteId);
+        this.outgoing.delete(noteId);
+        clearTimeout(this.sendTimers.get(noteId));
+        this.sendTimers.delete(noteId);
+        clearTimeout(this.saveTimers.get(noteId));
+        this.saveTimers.delete(noteId);
+        if (this.store) await this.store.deleteNote(noteId);
+    }
+
+    /**
+     * A peer said HELLO: ask it for whatever we missed in the notes we share
+     */
+    peerConnected(pid) {
+        const versions = {};
+        for (const note of this.notes.values()) {
+            if (note.peers.has(pid)) versions[note.id] = note.doc.versions;
+        }
+        if (Object.keys(versions).length === 0) return;
+        this.sendContent(pid, { kind: NOTE_MESSAGE_KINDS.SYNC, versions });
+    }
+
+    /**
+     * Handle a note DATA message
+     */
+    handleMessage(message) {
+        const content = message.payload.content;
+        if (content.kind === NOTE_MESSAGE_KINDS.OPS) {
+            this.handleOps(message.from, content);
+        } else if (content.kind === NOTE_MESSAGE_KINDS.SYNC) {
+            this.handleSync(message.from, content);
+        }
+    }
+
+    handleOps(from, content) {
+        if (!content.noteId || !Array.isArray(content.ops)) return;
+
+        let note = this.notes.get(content.noteId);
+        if (!note) {
+            note = { id: content.noteId, doc: new TextCRDT(this.peerId), peers: new Set(), updatedAt: Date.now() };
+            this.notes.set(note.id, note);
+        }
+        const newPeer = !note.peers.has(from);
+        note.peers.add(from);
+
+        const applied = content.ops.flatMap(op => note.doc.apply(op));
+        if (applied.length === 0 && !newPeer) return;
+
+        if (applied.length > 0) {
+            note.updatedAt = Date.now();
+            // Pass new edits on to the note's other peers
+            for (const pid of note.peers) {
+                if (pid !== from) this.sendOps(pid, note.id, applied);
+            }
+        }
+        this.save(note);
+        this.onUpdate(note, { remote: true });
+    }
+
+    handleSync(from, content) {
+        const versions = content.versions && typeof content.versions === 'object' ? content.versions : {};
+        for (const note of this.notes.values()) {
+            if (!note.peers.has(from)) continue;
+            const theirs = versions[note.id];
+            const missing = note.doc.opsSince(theirs && typeof theirs === 'object' ? theirs : {});
+            if (missing.length > 0) this.sendOps(from, note.id, missing);
+        }
+    }
+
+    sendOps(pid, noteId, ops) {
+        for (let i = 0; i < ops.length; i += NOTES.MAX_BATCH) {
+            this.sendContent(pid, { kind: NOTE_MESSAGE_KINDS.OPS, noteId, ops: ops.slice(i, i + NOTES.MAX_BATCH) });
+        }
+    }
+
+    /**
+     * Send to a peer if we can reach them now; peers we cannot reach catch
+     * up with a sync when they reconnect
+     */
+    sendContent(pid, content) {
+        if (!this.isReachable(pid)) return;
+        Promise.resolve(this.send(pid, content))
+            .catch(error => console.warn(`Could not send note update to ${pid}:`, error));
+    }
+
+    save(note) {
+        if (!this.store) return;
+        clearTimeout(this.saveTimers.get(note.id));
+        this.saveTimers.set(note.id, setTimeout(() => {
+            this.saveTimers.delete(note.id);
+            if (!this.notes.has(note.id)) return;
+            this.store.putNote({
+                id: note.id,
+                ops: note.doc.ops,
+                peers: [...note.peers],
+                updatedAt: note.updatedAt
+            }).catch(error => console.warn('Failed to save note:', error));
+        }, NOTES.SAVE_DELAY));
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PNotes = {
+        // Constants
+        NOTES,
+        NOTE_MESSAGE_KINDS,
+        NOTE_SCHEMA,
+
+        // Classes
+        TextCRDT,
+        NotesManager,
+
+        // Utilities
+        compareIds,
+        diffText
+    };
+}
@@ -0,0 +1,71 @@
+/**
+ * IndexedDB wrapper for persisting collaborative notes
+ * Store: `notes` keyed by note `id` (operation log, sharing peers, last change)
+ */
+(function(global){
+    const DB_NAME = 'lp2p-notes';
+    const DB_VERSION = 1;
+    const NOTES_STORE = 'notes';
+
+    function openDB(){
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (ev) => {
+                const db = ev.target.result;
+                if (!db.objectStoreNames.contains(NOTES_STORE)){
+                    db.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function withStore(mode, fn){
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(NOTES_STORE, mode);
+            let res;
+            try {
+                res = fn(tx.objectStore(NOTES_STORE));
+            } catch (err) {
+                reject(err);
+            }
+            tx.oncomplete = () => resolve(res);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function request(req){
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const NotesStore = {
+        async putNote(note) {
+            if (!note || !note.id || !Array.isArray(note.ops)) throw new Error('Invalid note');
+            return withStore('readwrite', (store) => store.put(note));
+        },
+
+        async getAllNotes(){
+            const db = await openDB();
+            const tx = db.transaction(NOTES_STORE, 'readonly');
+            return (await request(tx.objectStore(NOTES_STORE).getAll())) || [];
+        },
+
+        async deleteNote(id){
+            return withStore('readwrite', (store) => store.delete(id));
+        },
+
+        async clear(){
+            return withStore('readwrite', (store) => store.clear());
+        }
+    };
+
+    if (typeof global !== 'undefined') {
+        global.LP2PNotesStore = NotesStore;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
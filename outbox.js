@@ -0,0 +1,362 @@
+/**
+ * Message Delivery
+ *
+ * Outbox for TEXT and DATA messages. A message is `sent` once its frames are
+ * handed to a data channel and `delivered` once every recipient has answered
+ * with an ACK. Until then it is resent with exponential backoff; after the
+ * last attempt goes unanswered it is marked `failed`.
+ *
+ * Messages for peers we cannot reach wait in an OfflineQueue (persisted in
+ * IndexedDB) until the peer comes online and has said HELLO. They stay in
+ * IndexedDB until the peer acknowledges them, and go back in the queue if
+ * the outbox gives up.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DELIVERY = {
+    ACK_TIMEOUT: 3000,          // Wait before the first resend
+    BACKOFF_FACTOR: 2,          // Each later wait is this many times longer...
+    MAX_DELAY: 30 * 1000,       // ...up to 30s
+    MAX_ATTEMPTS: 5             // Sends, including the first
+};
+
+const DELIVERY_STATUS = {
+    QUEUED: 'queued',           // Waiting for an offline peer
+    PENDING: 'pending',         // Not handed to a channel yet
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+const OFFLINE_QUEUE = {
+    CONNECT_COOLDOWN: 60 * 1000     // Between connection attempts to the same peer
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Check whether a message type is acknowledged by its recipients
+ */
+function needsAck(message) {
+    return message.type === LP2P.MESSAGE_TYPES.TEXT
+        || message.type === LP2P.MESSAGE_TYPES.DATA;
+}
+
+// ============================================================================
+// Outbox Class
+// ============================================================================
+
+class Outbox {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onStatus] - (messageId, status, { acked, total }) => void
+     * @param {Object} [options.timing] - Overrides for DELIVERY
+     */
+    constructor(options = {}) {
+        this.onStatus = options.onStatus || (() => {});
+        this.timing = { ...DELIVERY, ...options.timing };
+        this.entries = new Map();   // message id -> entry awaiting ACKs
+    }
+
+    /**
+     * Send a message and keep resending it until its recipients acknowledge.
+     * `transmit(pendingRecipients)` sends (or resends) the message to those
+     * recipients and rejects if it could not be handed to a channel.
+     * Resolves with the status after the first attempt.
+     */
+    async send(messageId, recipients, transmit) {
+        const entry = {
+            id: messageId,
+            recipients: new Set(recipients),
+            acked: new Set(),
+            transmit,
+            attempts: 0,
+            status: DELIVERY_STATUS.PENDING,
+            timer: null
+        };
+        this.entries.set(messageId, entry);
+        this.report(entry);
+
+        await this.attempt(entry);
+        return entry.status;
+    }
+
+    async attempt(entry) {
+        entry.attempts++;
+        try {
+            await entry.transmit(this.pendingRecipients(entry));
+            if (entry.status === DELIVERY_STATUS.PENDING) {
+                this.setStatus(entry, DELIVERY_STATUS.SENT);
+            }
+        } catch (error) {
+            console.warn(`Send attempt ${entry.attempts} for ${entry.id} failed:`, error.message);
+        }
+        this.schedule(entry);
+    }
+
+    /**
+     * Wait for ACKs, then resend, or give up after the last attempt
+     */
+    schedule(entry) {
+        if (!this.entries.has(entry.id)) return;
+
+        const delay = Math.min(
+            this.timing.ACK_TIMEOUT * Math.pow(this.timing.BACKOFF_FACTOR, entry.attempts - 1),
+            this.timing.MAX_DELAY
+        );
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            if (entry.attempts >= this.timing.MAX_ATTEMPTS) {
+                this.settle(entry, DELIVERY_STATUS.FAILED);
+            } else {
+                this.attempt(entry);
+            }
+        }, delay);
+    }
+
+    /**
+     * Record an ACK. Returns false if the message or recipient is unknown.
+     */
+    acknowledge(messageId, fromPeerId) {
+        const entry = this.entries.get(messageId);
+        if (!entry || !entry.recipients.has(fromPeerId)) return false;
+
+        entry.acked.add(fromPeerId);
+        if (entry.acked.size === entry.recipients.size) {
+            this.settle(entry, DELIVERY_STATUS.DELIVERED);
+        } else {
+            this.report(entry);
+        }
+        return true;
+    }
+
+    /**
+     * A recipient refused the message; resending the same frame will not
+     * help, so it is marked failed. Returns false if the message or
+     * recipient is unknown.
+     */
+    reject(messageId, fromPeerId) {
+        const entry = this.entries.get(messageId);
+        if (!entry || !entry.recipients.has(fromPeerId)) return false;
+
+        this.settle(entry, DELIVERY_STATUS.FAILED);
+        return true;
+    }
+
+    pendingRecipients(entry) {
+        return [...entry.recipients].filter(pid => !entry.acked.has(pid));
+    }
+
+    setStatus(entry, status) {
+        entry.status = status;
+        this.report(entry);
+    }
+
+    settle(entry, status) {
+        if (entry.timer) clearTimeout(entry.timer);
+        this.entries.delete(entry.id);
+        this.setStatus(entry, status);
+    }
+
+    report(entry) {
+        this.onStatus(entry.id, entry.status, { acked: entry.acked.size, total: entry.recipients.size });
+    }
+
+    /**
+     * Number of messages still waiting for ACKs
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Stop all resends (the messages stay unconfirmed)
+     */
+    clear() {
+        for (const entry of this.entries.values()) {
+            if (entry.timer) clearTimeout(entry.timer);
+        }
+        this.entries.clear();
+    }
+}
+
+// ============================================================================
+// OfflineQueue Class
+// ============================================================================
+
+class OfflineQueue {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.store] - LP2POutboxStore used to keep the queue across reloads
+     * @param {Function} options.deliver - async (item) => void; sends a queued message
+     *   through the outbox, throws if it could not be handed over. Fields it sets on
+     *   the item are saved with it.
+     * @param {Function} options.connect - (peerId) => void; starts a connection to a peer
+     * @param {Function} options.isReachable - (peerId) => boolean
+     * @param {Function} [options.onChange] - (peerId) => void; a peer's queue changed
+     */
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.deliver = options.deliver;
+        this.connect = options.connect;
+        this.isReachable = options.isReachable;
+        this.onChange = options.onChange || (() => {});
+        this.items = new Map();             // id -> { id, peer, text, queuedAt }
+        this.sent = new Map();              // id -> item handed to the outbox, awaiting its ACK
+        this.flushing = new Set();          // Peers whose queue is being delivered
+        this.connectAttempts = new Map();   // peerId -> time of our last connection attempt
+    }
+
+    /**
+     * Load queued messages saved before a reload. Returns them in queue order.
+     */
+    async restore() {
+        if (!this.store) return [];
+
+        const records = await this.store.getAllItems();
+        records.sort((a, b) => a.queuedAt - b.queuedAt);
+        for (const item of records) {
+            this.items.set(item.id, item);
+        }
+        for (const peer of new Set(records.map(item => item.peer))) {
+            this.onChange(peer);
+        }
+        return records;
+    }
+
+    /**
+     * Queue a text message for a peer
+     * @param {Object} [options] - { replyTo, format } of the message
+     */
+    async enqueue(peer, text, options = {}) {
+        const item = { id: crypto.randomUUID(), peer, text, queuedAt: Date.now() };
+        if (options.replyTo) item.replyTo = options.replyTo;
+        if (options.format) item.format = options.format;
+        this.items.set(item.id, item);
+        if (this.store) await this.store.putItem(item);
+        this.onChange(peer);
+
+        if (this.isReachable(peer)) this.flush(peer);
+        return item;
+    }
+
+    /**
+     * Drop a queued message before it is sent. Returns false if it is
+     * unknown or already handed over.
+     */
+    async cancel(id) {
+        const item = this.items.get(id);
+        if (!item) return false;
+
+        this.items.delete(id);
+        if (this.store) await this.store.deleteItem(id);
+        this.onChange(item.peer);
+        return true;
+    }
+
+    /**
+     * A peer's queued messages, oldest first
+     */
+    itemsFor(peer) {
+        return [...this.items.values()]
+            .filter(item => item.peer === peer)
+            .sort((a, b) => a.queuedAt - b.queuedAt);
+    }
+
+    /**
+     * Presence reports a peer online: connect if we have something for them
+     */
+    peerOnline(peer, now = Date.now()) {
+        if (this.itemsFor(peer).length === 0) return;
+        if (this.isReachable(peer)) {
+            this.flush(peer);
+            return;
+        }
+
+        const lastAttempt = this.connectAttempts.get(peer) || 0;
+        if (now - lastAttempt < OFFLINE_QUEUE.CONNECT_COOLDOWN) return;
+        this.connectAttempts.set(peer, now);
+        this.connect(peer);
+    }
+
+    /**
+     * Hand a peer's queued messages to the outbox, oldest first. Stops at the
+     * first one that cannot be sent so the order is kept.
+     */
+    async flush(peer) {
+        if (this.flushing.has(peer)) return;
+        this.flushing.add(peer);
+
+        try {
+            for (const item of this.itemsFor(peer)) {
+                if (!this.items.has(item.id)) continue; // Cancelled meanwhile
+                if (!this.isReachable(peer)) break;
+
+                // Stored until settle() hears it was delivered
+                this.items.delete(item.id);
+                this.sent.set(item.id, item);
+                try {
+                    await this.deliver(item);
+                } catch (error) {
+                    this.sent.delete(item.id);
+                    this.items.set(item.id, item);
+                    throw error;
+                }
+                // Keep the signed copy for a resend after reload, unless the
+                // ACK already came in and settle() removed it
+                if (this.store && this.sent.has(item.id)) await this.store.putItem(item);
+                this.onChange(peer);
+            }
+            this.connectAttempts.delete(peer);
+        } catch (error) {
+            console.warn('Delivery of queued messages to', peer, 'stopped:', error.message);
+        } finally {
+            this.flushing.delete(peer);
+        }
+    }
+
+    /**
+     * Final outbox status of a message: a delivered one leaves the store, a
+     * failed one goes back in the queue. Returns false if the message did not
+     * come from the queue.
+     */
+    async settle(id, status) {
+        const item = this.sent.get(id);
+        if (!item) return false;
+        if (status !== DELIVERY_STATUS.DELIVERED && status !== DELIVERY_STATUS.FAILED) return false;
+
+        this.sent.delete(id);
+        if (status === DELIVERY_STATUS.DELIVERED) {
+            if (this.store) await this.store.deleteItem(id);
+        } else {
+            this.items.set(id, item);
+            this.onChange(item.peer);
+        }
+        return true;
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2POutbox = {
+        // Constants
+        DELIVERY,
+        DELIVERY_STATUS,
+        OFFLINE_QUEUE,
+
+        // Classes
+        Outbox,
+        OfflineQueue,
+
+        // Utilities
+        needsAck
+    };
+}
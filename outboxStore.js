@@ -0,0 +1,72 @@
+/**
+ * IndexedDB wrapper for persisting messages queued for offline peers
+ * Store: `queue` keyed by message `id`, indexed by `peer`
+ */
+(function(global){
+    const DB_NAME = 'lp2p-outbox';
+    const DB_VERSION = 1;
+    const QUEUE_STORE = 'queue';
+
+    function openDB(){
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (ev) => {
+                const db = ev.target.result;
+                if (!db.objectStoreNames.contains(QUEUE_STORE)){
+                    const store = db.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+                    store.createIndex('peer', 'peer');
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function withStore(mode, fn){
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(QUEUE_STORE, mode);
+            let res;
+            try {
+                res = fn(tx.objectStore(QUEUE_STORE));
+            } catch (err) {
+                reject(err);
+            }
+            tx.oncomplete = () => resolve(res);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function request(req){
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const OutboxStore = {
+        async putItem(item) {
+            if (!item || !item.id || !item.peer) throw new Error('Invalid queued message');
+            return withStore('readwrite', (store) => store.put(item));
+        },
+
+        async getAllItems(){
+            const db = await openDB();
+            const tx = db.transaction(QUEUE_STORE, 'readonly');
+            return (await request(tx.objectStore(QUEUE_STORE).getAll())) || [];
+        },
+
+        async deleteItem(id){
+            return withStore('readwrite', (store) => store.delete(id));
+        },
+
+        async clear(){
+            return withStore('readwrite', (store) => store.clear());
+        }
+    };
+
+    if (typeof global !== 'undefined') {
+        global.LP2POutboxStore = OutboxStore;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -22,13 +22,22 @@ const MESSAGE_TYPES = {
     CONTROL: 'control'
 };
 
+// TEXT messages about an earlier one (named by replyTo). Edits and deletes
+// are only accepted from its author; anyone can react.
+const TEXT_ACTIONS = {
+    EDIT: 'edit',
+    DELETE: 'delete',
+    REACT: 'react'
+};
+
 const FILE_ACTIONS = {
     OFFER: 'offer',
     ACCEPT: 'accept',
     REJECT: 'reject',
     CHUNK: 'chunk',
     CANCEL: 'cancel',
-    COMPLETE: 'complete'
+    COMPLETE: 'complete',
+    RESUME: 'resume'    // Receiver reports which chunks it already has
 };
 
 const SYSTEM_ACTIONS = {
@@ -40,7 +49,10 @@ const SYSTEM_ACTIONS = {
     PEER_LIST: 'peerList',
     ERROR: 'error',
     INTRODUCE: 'introduce', // Introduce a peer to another peer (host-mediated)
-    ROOM_ANNOUNCE: 'roomAnnounce' // Announce a room's minimal metadata to peers
+    ROOM_ANNOUNCE: 'roomAnnounce', // Announce a room's minimal metadata to peers
+    SENDER_KEY: 'senderKey', // Hand a room sender key to one member (always sealed)
+    MEMBER_LEFT: 'memberLeft', // Host tells members that a room member disconnected
+    ACK: 'ack' // Recipient confirms a TEXT or DATA message (replyTo = its id)
 };
 
 const CONTROL_ACTIONS = {
@@ -57,19 +69,127 @@ const ERROR_CODES = {
     VALIDATION_FAILED: 'VALIDATION_FAILED',
     TOO_LARGE: 'TOO_LARGE',
     RATE_LIMIT: 'RATE_LIMIT',
-    UNAUTHORIZED: 'UNAUTHORIZED'
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    DUPLICATE_MESSAGE: 'DUPLICATE_MESSAGE',
+    DECRYPTION_FAILED: 'DECRYPTION_FAILED'
 };
 
 const LIMITS = {
     MAX_MESSAGE_SIZE: 10 * 1024 * 1024,  // 10MB
     MAX_TEXT_SIZE: 64 * 1024,             // 64KB
     MAX_CHUNK_SIZE: 16 * 1024,            // 16KB
+    MAX_BINARY_CHUNK_SIZE: 64 * 1024,     // 64KB (binary frames, no base64 overhead)
     MAX_DATA_SIZE: 1024 * 1024,           // 1MB
+    MAX_FILE_SIZE: 4 * 1024 * 1024 * 1024, // 4GB
     PEER_ID_MIN: 3,
     PEER_ID_MAX: 64,
-    TIME_TOLERANCE: 5 * 60 * 1000         // 5 minutes
+    TIME_TOLERANCE: 5 * 60 * 1000,        // 5 minutes
+    MAX_SEEN_MESSAGES: 10000,             // Message ids remembered for replay detection
+    DEFAULT_TTL: 8,                       // Hops a routed message may still take when it has no route field
+    MAX_TTL: 16,
+    MAX_READ_BATCH: 100,                  // Message ids per read receipt
+    MAX_REACTION_LENGTH: 16               // One emoji (with modifiers), not free text
+};
+
+// Peer exchange: listPeers is answered with connected and recently seen peers
+const PEER_EXCHANGE = {
+    MAX_PEERS: 100,                         // Entries per peerList
+    RECENT_WINDOW: 24 * 60 * 60 * 1000,     // Disconnected peers are listed for a day after we last saw them
+    REQUEST_TIMEOUT: 30 * 1000              // A peerList must answer a listPeers we sent within 30s
+};
+
+// Per-connection receive budgets: `rate` tokens refill per second up to `burst`.
+// Messages a peer relays for others are metered per original sender.
+const RATE_LIMITS = {
+    BUDGETS: {
+        [MESSAGE_TYPES.TEXT]: { rate: 5, burst: 20 },
+        [MESSAGE_TYPES.FILE]: { rate: 500, burst: 1000 },   // Chunks; 64KB each when binary
+        [MESSAGE_TYPES.DATA]: { rate: 20, burst: 50 },
+        [MESSAGE_TYPES.SYSTEM]: { rate: 10, burst: 40 },
+        [MESSAGE_TYPES.CONTROL]: { rate: 10, burst: 30 }
+    },
+    DEFAULT_BUDGET: { rate: 5, burst: 10 },   // Types without their own budget
+    NOTIFY_INTERVAL: 1000,                    // At most one RATE_LIMIT error per type per second
+    MAX_VIOLATIONS: 200,                      // Dropped messages tolerated within the window...
+    VIOLATION_WINDOW: 10 * 1000,              // ...before the connection is closed
+    MAX_RELAYED_SENDERS: 64                   // Relayed senders with their own buckets; the rest share one
+};
+
+// Optional protocol features advertised in the HELLO capabilities list
+const FEATURES = {
+    BINARY_CHUNKS: 'binary-chunks',  // File chunks as binary frames instead of base64 JSON
+    E2E: 'e2e',                      // Payloads sealed per recipient (see encryption.js)
+    ROUTING: 'routing',              // Forwards messages for other peers (see router.js)
+    SENDER_KEYS: 'sender-keys',      // Room broadcasts sealed with sender keys (see senderKeys.js)
+    COMPRESS_DEFLATE: 'compress-deflate', // Large payloads compressed (see PayloadCompressor)
+    COMPRESS_GZIP: 'compress-gzip'
 };
 
+// Payload compression for large TEXT and DATA messages (payload.compressed)
+const COMPRESSION = {
+    // CompressionStream formats in order of preference, and the feature advertising each
+    ALGORITHMS: {
+        deflate: FEATURES.COMPRESS_DEFLATE,
+        gzip: FEATURES.COMPRESS_GZIP
+    },
+    TYPES: [MESSAGE_TYPES.TEXT, MESSAGE_TYPES.DATA],
+    // Largest payload JSON, in bytes, a compressed message may inflate to
+    MAX_SIZE: {
+        [MESSAGE_TYPES.TEXT]: 4 * LIMITS.MAX_TEXT_SIZE,  // MAX_TEXT_SIZE characters at up to 4 bytes each
+        [MESSAGE_TYPES.DATA]: LIMITS.MAX_DATA_SIZE
+    },
+    THRESHOLD: 8 * 1024,     // Smaller payloads are sent as they are
+    MIN_SAVING: 0.1          // Keep the compressed form only if it is at least 10% smaller
+};
+
+const SUPPORTED_FEATURES = [FEATURES.BINARY_CHUNKS, FEATURES.ROUTING];
+
+// Protocol version ranges (inclusive) this implementation speaks, advertised in HELLO
+const SUPPORTED_VERSIONS = [
+    { min: '1.0', max: PROTOCOL.VERSION }
+];
+
+// Envelope fields covered by a message signature (metadata is left unsigned
+// so relays can annotate it)
+const SIGNED_FIELDS = ['protocol', 'version', 'id', 'type', 'from', 'to', 'timestamp', 'replyTo', 'payload'];
+
+const BINARY_FRAME = {
+    MAGIC: 0x4C,        // 'L'
+    VERSION: 1,
+    HEADER_SIZE: 48,
+    TYPES: { FILE_CHUNK: 1 },
+    FLAGS: { IS_LAST: 0x01, SEALED: 0x02 }
+};
+
+// ============================================================================
+// Protocol Errors
+// ============================================================================
+
+/**
+ * Error carrying an ERROR_CODES value, so receivers can answer the sender
+ * with a matching ERROR message
+ */
+class ProtocolError extends Error {
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * A handler failed on a message that passed every protocol check. The
+ * failure is ours, not the sender's, so it is not answered with an ERROR.
+ */
+class HandlerError extends Error {
+    constructor(type, cause) {
+        super(`${type} handler failed: ${cause && cause.message}`);
+        this.name = 'HandlerError';
+        this.cause = cause;
+    }
+}
+
 // ============================================================================
 // Message Class
 // ============================================================================
@@ -96,6 +216,11 @@ class Message {
         if (options.signature) {
             this.signature = options.signature;
         }
+
+        // Set by peers that forward the message; not signed
+        if (options.route) {
+            this.route = options.route;
+        }
     }
 
     /**
@@ -109,7 +234,7 @@ class Message {
      * Get message size in bytes
      */
     size() {
-        return new Blob([this.serialize()]).size;
+        return Message.sizeOf(this);
     }
 
     /**
@@ -119,6 +244,17 @@ class Message {
         return Message.deserialize(this.serialize());
     }
 
+    /**
+     * Get the wire size of any message object. Binary chunk data is counted
+     * as raw bytes rather than stringified.
+     */
+    static sizeOf(message) {
+        if (BinaryFrame.canEncode(message)) {
+            return BINARY_FRAME.HEADER_SIZE + message.payload.data.byteLength;
+        }
+        return new Blob([JSON.stringify(message)]).size;
+    }
+
     /**
      * Deserialize JSON string to Message object
      */
@@ -135,7 +271,8 @@ class Message {
                 timestamp: data.timestamp,
                 replyTo: data.replyTo,
                 metadata: data.metadata,
-                signature: data.signature
+                signature: data.signature,
+                route: data.route
             }
         );
         
@@ -146,13 +283,468 @@ class Message {
     }
 }
 
+// ============================================================================
+// Binary Frames
+// ============================================================================
+
+/**
+ * Binary framing for file chunks on an RTCDataChannel.
+ *
+ * Layout (big-endian, 48 byte header followed by the raw chunk bytes):
+ *   0  u8     magic 0x4C ('L')
+ *   1  u8     frame version
+ *   2  u8     frame type (1 = file chunk)
+ *   3  u8     flags (bit 0 = isLast, bit 1 = sealed: data is iv || ciphertext)
+ *   4  16B    message id (UUID)
+ *   20 16B    file id (UUID)
+ *   36 u32    chunk index
+ *   40 f64    timestamp
+ *
+ * Sender and recipient are implied by the data channel, so frames are only
+ * sent to peers that advertised FEATURES.BINARY_CHUNKS and are never relayed.
+ * Frames carry no signature: decoded messages are marked `linkBound`, the
+ * sender being the peer whose signed HELLO opened that channel.
+ */
+class BinaryFrame {
+    /**
+     * Check whether a message can travel as a binary frame
+     */
+    static canEncode(message) {
+        const payload = message.payload;
+        return message.type === MESSAGE_TYPES.FILE
+            && payload.action === FILE_ACTIONS.CHUNK
+            && payload.data instanceof ArrayBuffer
+            && BinaryFrame.isUuid(message.id)
+            && BinaryFrame.isUuid(payload.fileId);
+    }
+
+    /**
+     * Encode a file chunk message (payload.data as ArrayBuffer) into a frame
+     */
+    static encode(message) {
+        if (!BinaryFrame.canEncode(message)) {
+            throw new Error('Message cannot be encoded as a binary frame');
+        }
+
+        const data = new Uint8Array(message.payload.data);
+        const buffer = new ArrayBuffer(BINARY_FRAME.HEADER_SIZE + data.byteLength);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        view.setUint8(0, BINARY_FRAME.MAGIC);
+        view.setUint8(1, BINARY_FRAME.VERSION);
+        view.setUint8(2, BINARY_FRAME.TYPES.FILE_CHUNK);
+        view.setUint8(3, (message.payload.isLast ? BINARY_FRAME.FLAGS.IS_LAST : 0)
+            | (message.payload.sealed === true ? BINARY_FRAME.FLAGS.SEALED : 0));
+        bytes.set(BinaryFrame.uuidToBytes(message.id), 4);
+        bytes.set(BinaryFrame.uuidToBytes(message.payload.fileId), 20);
+        view.setUint32(36, message.payload.chunkIndex);
+        view.setFloat64(40, message.timestamp);
+        bytes.set(data, BINARY_FRAME.HEADER_SIZE);
+
+        return buffer;
+    }
+
+    /**
+     * Decode a frame received on the channel to `from` back into a Message
+     */
+    static decode(buffer, from, to) {
+        if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < BINARY_FRAME.HEADER_SIZE) {
+            throw new Error('Binary frame too short');
+        }
+
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        if (view.getUint8(0) !== BINARY_FRAME.MAGIC) {
+            throw new Error('Not an lp2p binary frame');
+        }
+        if (view.getUint8(1) !== BINARY_FRAME.VERSION) {
+            throw new Error(`Unsupported binary frame version: ${view.getUint8(1)}`);
+        }
+        if (view.getUint8(2) !== BINARY_FRAME.TYPES.FILE_CHUNK) {
+            throw new Error(`Unknown binary frame type: ${view.getUint8(2)}`);
+        }
+
+        const flags = view.getUint8(3);
+        const payload = {
+            action: FILE_ACTIONS.CHUNK,
+            fileId: BinaryFrame.bytesToUuid(bytes.subarray(20, 36)),
+            chunkIndex: view.getUint32(36),
+            data: buffer.slice(BINARY_FRAME.HEADER_SIZE),
+            isLast: (flags & BINARY_FRAME.FLAGS.IS_LAST) !== 0
+        };
+        if (flags & BINARY_FRAME.FLAGS.SEALED) {
+            payload.sealed = true;
+        }
+
+        const message = new Message(MESSAGE_TYPES.FILE, from, to, payload, {
+            id: BinaryFrame.bytesToUuid(bytes.subarray(4, 20)),
+            timestamp: view.getFloat64(40)
+        });
+        message.linkBound = true;
+        return message;
+    }
+
+    static isUuid(value) {
+        return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+    }
+
+    static uuidToBytes(uuid) {
+        const hex = uuid.replace(/-/g, '');
+        const bytes = new Uint8Array(16);
+        for (let i = 0; i < 16; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    static bytesToUuid(bytes) {
+        const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+}
+
+// ============================================================================
+// Payload Compression
+// ============================================================================
+
+/**
+ * Compresses large payloads with CompressionStream.
+ *
+ * A compressed message has `payload = { compressed: { algorithm, size, data } }`
+ * (size = bytes of the payload JSON, data = base64 of the compressed bytes).
+ * Being part of the payload, the flag is signed and sealed with it, so a
+ * relay cannot add, strip or alter it. Compression happens before sealing
+ * and signing, so receivers verify and decrypt first and inflate last.
+ * Inflating stops as soon as the output passes the declared size, which is
+ * capped per message type, so a small message cannot expand past the limits.
+ */
+class PayloadCompressor {
+    static isAvailable() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    static isCompressed(message) {
+        const compressed = message.payload && message.payload.compressed;
+        return typeof compressed === 'object' && compressed !== null;
+    }
+
+    /**
+     * Compress a message's payload in place if it is large enough and
+     * shrinks enough. Returns whether it was compressed.
+     */
+    static async compress(message, algorithm) {
+        if (!COMPRESSION.TYPES.includes(message.type) || PayloadCompressor.isCompressed(message)
+            || MessageValidator.isSealed(message)) {
+            return false;
+        }
+
+        // Receivers reject anything declared larger than the type allows
+        const plain = new TextEncoder().encode(JSON.stringify(message.payload));
+        if (plain.length < COMPRESSION.THRESHOLD || plain.length > COMPRESSION.MAX_SIZE[message.type]) return false;
+
+        const packed = await PayloadCompressor.pipe(plain, new CompressionStream(algorithm));
+        if (packed.length > plain.length * (1 - COMPRESSION.MIN_SAVING)) return false;
+
+        message.payload = {
+            compressed: { algorithm, size: plain.length, data: MessageSigner.bytesToBase64(packed) }
+        };
+        return true;
+    }
+
+    /**
+     * Restore a compressed payload in place
+     * @throws {ProtocolError} VALIDATION_FAILED if it does not inflate to the declared size
+     */
+    static async decompress(message) {
+        const { algorithm, size, data } = message.payload.compressed;
+        const fail = (reason) => new ProtocolError(
+            ERROR_CODES.VALIDATION_FAILED,
+            `Invalid compressed payload: ${reason}`
+        );
+
+        if (!PayloadCompressor.isAvailable()) throw fail('compression is not supported');
+        if (typeof data !== 'string') throw fail('missing compressed data');
+
+        let plain;
+        try {
+            const packed = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+            plain = await PayloadCompressor.pipe(packed, new DecompressionStream(algorithm), size);
+        } catch (error) {
+            throw fail(error.message);
+        }
+        if (plain.length !== size) throw fail(`inflated to ${plain.length} bytes, declared ${size}`);
+
+        let payload;
+        try {
+            payload = JSON.parse(new TextDecoder().decode(plain));
+        } catch (error) {
+            throw fail('not JSON');
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw fail('not an object');
+
+        message.payload = payload;
+        message.compressed = { algorithm, size };
+        return true;
+    }
+
+    /**
+     * Run bytes through a (de)compression stream, giving up once the output
+     * exceeds `maxBytes`
+     */
+    static async pipe(bytes, transform, maxBytes = Infinity) {
+        const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+        const chunks = [];
+        let total = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            total += value.length;
+            if (total > maxBytes) {
+                await reader.cancel();
+                throw new Error(`more than ${maxBytes} bytes`);
+            }
+            chunks.push(value);
+        }
+
+        const out = new Uint8Array(total);
+        let offset = 0;
+        for (const chunk of chunks) {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return out;
+    }
+}
+
+// ============================================================================
+// Data Schemas
+// ============================================================================
+
+/**
+ * Check a value against a JSON-Schema-like description. Supported keywords:
+ * type, enum, required, properties, additionalProperties (false only), items,
+ * minLength, maxLength, pattern, minimum, maximum, minItems, maxItems.
+ * Returns a list of errors, each prefixed with the value's path.
+ */
+function validateSchema(value, schema, path = 'content') {
+    const errors = [];
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesSchemaType(value, type))) {
+            errors.push(`${path} must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    } else if (value !== null && typeof value === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null': return value === null;
+        default: return false;
+    }
+}
+
+/**
+ * Schemas for DATA messages, by dataType and schema version. Unregistered
+ * dataTypes are not checked. For a registered dataType, content must match
+ * the version named in the payload's `schema`, or have a migration path to
+ * the newest version; handlers always see the newest version.
+ */
+class SchemaRegistry {
+    constructor() {
+        this.types = new Map();     // dataType -> { versions: Map(version -> entry), latest }
+    }
+
+    /**
+     * Register a schema version for a dataType. The last version registered
+     * for a dataType is its newest.
+     *
+     * @param {string} dataType - e.g. 'note'
+     * @param {string} version - The payload's `schema`, e.g. 'note-v2'
+     * @param {Object|Function} schema - JSON-Schema-like object for validateSchema(),
+     *   or (content) => errors[]
+     * @param {Object} [migrations] - { olderVersion: (content) => content for this version }
+     */
+    register(dataType, version, schema, migrations = {}) {
+        if (typeof dataType !== 'string' || typeof version !== 'string') {
+            throw new Error('dataType and version must be strings');
+        }
+        if (!schema || (typeof schema !== 'object' && typeof schema !== 'function')) {
+            throw new Error(`Schema for ${dataType} ${version} must be an object or function`);
+        }
+
+        let registered = this.types.get(dataType);
+        if (!registered) {
+            registered = { versions: new Map(), latest: null };
+            this.types.set(dataType, registered);
+        }
+        registered.versions.set(version, { schema, migrations });
+        registered.latest = version;
+    }
+
+    unregister(dataType) {
+        this.types.delete(dataType);
+    }
+
+    has(dataType, version = null) {
+        const registered = this.types.get(dataType);
+        return !!registered && (version === null || registered.versions.has(version));
+    }
+
+    /**
+     * Newest registered version of a dataType, or null
+     */
+    latest(dataType) {
+        const registered = this.types.get(dataType);
+        return registered ? registered.latest : null;
+    }
+
+    /**
+     * Check a DATA payload against its declared version. Versions that are
+     * not registered but can be migrated are checked after migrating.
+     */
+    validate(payload) {
+        const registered = this.types.get(payload.dataType);
+        if (!registered) return [];
+
+        const entry = registered.versions.get(payload.schema);
+        if (entry) return this.check(entry, payload.content);
+        if (this.migrationPath(payload.dataType, payload.schema)) return [];
+        return [`Unknown schema ${payload.schema} for ${payload.dataType}`];
+    }
+
+    /**
+     * Migrate a DATA payload in place to the newest version of its dataType
+     * and check the result. Returns a list of errors.
+     */
+    upgrade(payload) {
+        const path = this.migrationPath(payload.dataType, payload.schema);
+        if (!path) return this.validate(payload);
+
+        const registered = this.types.get(payload.dataType);
+        let content = payload.content;
+        for (const step of path) {
+            try {
+                content = step.migrate(content);
+            } catch (error) {
+                return [`Migrating ${payload.dataType} from ${step.from} to ${step.to} failed: ${error.message}`];
+            }
+        }
+
+        payload.content = content;
+        payload.schema = registered.latest;
+        return this.check(registered.versions.get(registered.latest), content);
+    }
+
+    /**
+     * Migration steps from a version to the newest one, [] if it is the
+     * newest, or null if there is no way there
+     */
+    migrationPath(dataType, version) {
+        const registered = this.types.get(dataType);
+        if (!registered) return null;
+
+        const path = [];
+        const visited = new Set();
+        let current = version;
+        while (current !== registered.latest) {
+            if (visited.has(current)) return null;
+            visited.add(current);
+
+            let next = null;
+            for (const [to, entry] of registered.versions) {
+                if (typeof entry.migrations[current] === 'function') {
+                    next = { from: current, to, migrate: entry.migrations[current] };
+                }
+            }
+            if (!next) return null;
+            path.push(next);
+            current = next.to;
+        }
+        return path;
+    }
+
+    check(entry, content) {
+        if (typeof entry.schema === 'function') {
+            const errors = entry.schema(content);
+            return Array.isArray(errors) ? errors : [];
+        }
+        return validateSchema(content, entry.schema);
+    }
+}
+
+const dataSchemas = new SchemaRegistry();
+
 // ============================================================================
 // Message Validator
 // ============================================================================
 
 class MessageValidator {
     /**
-     * Validate a message object
+     * Validate a message object. Sealed payloads are only checked for shape;
+     * validatePayload() runs again once they are decrypted.
      */
     static validate(message) {
         const errors = [];
@@ -169,8 +761,14 @@ class MessageValidator {
         // Semantic validation
         errors.push(...this.validateSemantics(message));
         
-        // Payload validation
-        errors.push(...this.validatePayload(message));
+        // Payload validation (sealed and compressed payloads are checked again once opened)
+        if (this.isSealed(message)) {
+            errors.push(...this.validateSealedPayload(message));
+        } else if (PayloadCompressor.isCompressed(message)) {
+            errors.push(...this.validateCompression(message));
+        } else {
+            errors.push(...this.validatePayload(message));
+        }
         
         return {
             valid: errors.length === 0,
@@ -212,6 +810,8 @@ class MessageValidator {
             errors.push('version must be a string');
         } else if (!message.version.match(/^\d+\.\d+(\.\d+)?$/)) {
             errors.push('version must be in semver format');
+        } else if (!SessionNegotiator.isVersionSupported(message.version)) {
+            errors.push(`Unsupported protocol version: ${message.version}`);
         }
         
         // ID
@@ -263,6 +863,18 @@ class MessageValidator {
         if (message.metadata !== undefined && typeof message.metadata !== 'object') {
             errors.push('metadata must be an object');
         }
+
+        // Optional: route (hops remaining and peers that forwarded it)
+        if (message.route !== undefined) {
+            const route = message.route;
+            if (typeof route !== 'object' || route === null
+                || !Number.isInteger(route.ttl) || route.ttl < 0 || route.ttl > LIMITS.MAX_TTL) {
+                errors.push(`route.ttl must be an integer between 0 and ${LIMITS.MAX_TTL}`);
+            } else if (!Array.isArray(route.hops) || route.hops.length > LIMITS.MAX_TTL
+                || !route.hops.every(hop => typeof hop === 'string')) {
+                errors.push('route.hops must be an array of peer IDs');
+            }
+        }
         
         return errors;
     }
@@ -281,7 +893,7 @@ class MessageValidator {
         }
         
         // Message size check
-        const size = new Blob([JSON.stringify(message)]).size;
+        const size = Message.sizeOf(message);
         if (size > LIMITS.MAX_MESSAGE_SIZE) {
             errors.push(`Message too large: ${size} bytes (max ${LIMITS.MAX_MESSAGE_SIZE})`);
         }
@@ -289,6 +901,66 @@ class MessageValidator {
         return errors;
     }
 
+    /**
+     * Check whether a message payload is end-to-end encrypted
+     */
+    static isSealed(message) {
+        return !!(message.payload && message.payload.sealed);
+    }
+
+    /**
+     * Check a compressed payload, including that its declared (decompressed)
+     * size is within the limit for the message type
+     */
+    static validateCompression(message) {
+        const errors = [];
+        const compressed = message.payload.compressed;
+
+        if (!COMPRESSION.TYPES.includes(message.type)) {
+            errors.push(`${message.type} messages cannot be compressed`);
+            return errors;
+        }
+        const maxSize = COMPRESSION.MAX_SIZE[message.type];
+        if (!Object.keys(COMPRESSION.ALGORITHMS).includes(compressed.algorithm)) {
+            errors.push(`Invalid compression algorithm: ${compressed.algorithm}`);
+        } else if (!Number.isInteger(compressed.size) || compressed.size < 1 || compressed.size > maxSize) {
+            errors.push(`Invalid decompressed size: ${compressed.size} (max ${maxSize})`);
+        }
+        if (typeof compressed.data !== 'string') {
+            errors.push('compressed payload must have compressed data');
+        }
+
+        return errors;
+    }
+
+    static validateSealedPayload(message) {
+        const errors = [];
+        const payload = message.payload;
+
+        if (![MESSAGE_TYPES.TEXT, MESSAGE_TYPES.DATA, MESSAGE_TYPES.FILE, MESSAGE_TYPES.SYSTEM].includes(message.type)) {
+            errors.push(`${message.type} messages cannot be sealed`);
+        } else if (message.to === '*') {
+            // Room broadcast sealed with the sender's room key
+            const sealed = payload.sealed;
+            if (typeof sealed !== 'object' || typeof sealed.room !== 'string' || message.type === MESSAGE_TYPES.SYSTEM) {
+                errors.push('sealed broadcasts must be room messages');
+            } else if (!Number.isInteger(sealed.keyId) || !Number.isInteger(sealed.iteration) || sealed.iteration < 0) {
+                errors.push('sealed room message must have keyId and iteration');
+            } else if (typeof sealed.iv !== 'string' || typeof sealed.data !== 'string') {
+                errors.push('sealed payload must have iv and data strings');
+            }
+        } else if (payload.sealed === true) {
+            // Binary file chunk: only the chunk bytes are encrypted
+            if (payload.action !== FILE_ACTIONS.CHUNK || !(payload.data instanceof ArrayBuffer)) {
+                errors.push('sealed chunk must carry binary data');
+            }
+        } else if (typeof payload.sealed.iv !== 'string' || typeof payload.sealed.data !== 'string') {
+            errors.push('sealed payload must have iv and data strings');
+        }
+
+        return errors;
+    }
+
     /**
      * Validate payload based on message type
      */
@@ -297,7 +969,7 @@ class MessageValidator {
         
         switch (message.type) {
             case MESSAGE_TYPES.TEXT:
-                errors.push(...this.validateTextPayload(message.payload));
+                errors.push(...this.validateTextPayload(message.payload, message));
                 break;
             case MESSAGE_TYPES.FILE:
                 errors.push(...this.validateFilePayload(message.payload));
@@ -306,18 +978,41 @@ class MessageValidator {
                 errors.push(...this.validateDataPayload(message.payload));
                 break;
             case MESSAGE_TYPES.SYSTEM:
-                errors.push(...this.validateSystemPayload(message.payload));
+                errors.push(...this.validateSystemPayload(message.payload, message));
                 break;
             case MESSAGE_TYPES.CONTROL:
-                errors.push(...this.validateControlPayload(message.payload));
+                errors.push(...this.validateControlPayload(message.payload, message));
                 break;
         }
         
         return errors;
     }
 
-    static validateTextPayload(payload) {
+    static validateTextPayload(payload, message = {}) {
         const errors = [];
+
+        if (payload.action !== undefined) {
+            if (!Object.values(TEXT_ACTIONS).includes(payload.action)) {
+                errors.push(`Invalid text action: ${payload.action}`);
+            }
+            if (typeof message.replyTo !== 'string') {
+                errors.push(`${payload.action} must have replyTo`);
+            }
+            if (payload.action === TEXT_ACTIONS.REACT) {
+                if (typeof payload.emoji !== 'string' || !payload.emoji || payload.emoji.length > LIMITS.MAX_REACTION_LENGTH) {
+                    errors.push('react must have a short emoji string');
+                }
+                if (typeof payload.active !== 'boolean') {
+                    errors.push('react must have a boolean active');
+                }
+                return errors;
+            }
+            if (!Number.isInteger(payload.revision) || payload.revision < 1) {
+                errors.push(`${payload.action} must have a positive integer revision`);
+            }
+            // A delete carries no text
+            if (payload.action === TEXT_ACTIONS.DELETE) return errors;
+        }
         
         if (!payload.text) {
             errors.push('text payload must have text field');
@@ -345,13 +1040,24 @@ class MessageValidator {
         
         if (!payload.fileId) {
             errors.push('file payload must have fileId');
+        } else if (!BinaryFrame.isUuid(payload.fileId)) {
+            errors.push('file payload fileId must be a UUID');
         }
         
         // Action-specific validation
         if (payload.action === FILE_ACTIONS.OFFER) {
             if (!payload.name) errors.push('file offer must have name');
-            if (!payload.size || payload.size <= 0) errors.push('file offer must have valid size');
             if (!payload.mimeType) errors.push('file offer must have mimeType');
+
+            // Chunk bookkeeping is sized from the offer, so it must be consistent
+            const chunkSize = payload.chunkSize === undefined ? LIMITS.MAX_CHUNK_SIZE : payload.chunkSize;
+            if (!Number.isInteger(payload.size) || payload.size <= 0 || payload.size > LIMITS.MAX_FILE_SIZE) {
+                errors.push('file offer must have valid size');
+            } else if (!Number.isInteger(chunkSize) || chunkSize < LIMITS.MAX_CHUNK_SIZE || chunkSize > LIMITS.MAX_BINARY_CHUNK_SIZE) {
+                errors.push(`file offer chunkSize must be between ${LIMITS.MAX_CHUNK_SIZE} and ${LIMITS.MAX_BINARY_CHUNK_SIZE}`);
+            } else if (payload.totalChunks !== Math.ceil(payload.size / chunkSize)) {
+                errors.push('file offer totalChunks does not match size and chunkSize');
+            }
         }
         
         if (payload.action === FILE_ACTIONS.CHUNK) {
@@ -359,6 +1065,14 @@ class MessageValidator {
             if (!payload.data) errors.push('file chunk must have data');
         }
         
+        if (payload.action === FILE_ACTIONS.RESUME) {
+            if (!Array.isArray(payload.ranges)) {
+                errors.push('file resume must have ranges array');
+            } else if (!payload.ranges.every(r => Array.isArray(r) && r.length === 2 && Number.isInteger(r[0]) && Number.isInteger(r[1]) && r[0] <= r[1])) {
+                errors.push('file resume ranges must be [start, end] integer pairs');
+            }
+        }
+        
         return errors;
     }
 
@@ -376,11 +1090,16 @@ class MessageValidator {
         if (!payload.content) {
             errors.push('data payload must have content field');
         }
+
+        // Registered dataTypes must match their schema
+        if (errors.length === 0) {
+            errors.push(...dataSchemas.validate(payload));
+        }
         
         return errors;
     }
 
-    static validateSystemPayload(payload) {
+    static validateSystemPayload(payload, message = {}) {
         const errors = [];
         
         if (!payload.action) {
@@ -389,22 +1108,404 @@ class MessageValidator {
             errors.push(`Invalid system action: ${payload.action}`);
         }
         
-        return errors;
-    }
+        if (payload.action === SYSTEM_ACTIONS.HELLO) {
+            const info = payload.peerInfo;
+            if (!info || typeof info !== 'object') {
+                errors.push('hello must have peerInfo');
+            } else {
+                if (info.supportedVersions !== undefined && !(Array.isArray(info.supportedVersions)
+                    && info.supportedVersions.every(r => r && SessionNegotiator.parseVersion(r.min) && SessionNegotiator.parseVersion(r.max)))) {
+                    errors.push('hello supportedVersions must be {min, max} version ranges');
+                }
+                if (info.capabilities !== undefined && !Array.isArray(info.capabilities)) {
+                    errors.push('hello capabilities must be an array');
+                }
+            }
+        }
 
-    static validateControlPayload(payload) {
-        const errors = [];
-        
-        if (!payload.action) {
-            errors.push('control payload must have action field');
-        } else if (!Object.values(CONTROL_ACTIONS).includes(payload.action)) {
+        if (payload.action === SYSTEM_ACTIONS.INTRODUCE && payload.room !== undefined && typeof payload.room !== 'string') {
+            errors.push('introduce room must be a string');
+        }
+
+        if (payload.action === SYSTEM_ACTIONS.SENDER_KEY) {
+            if (typeof payload.room !== 'string' || typeof payload.chainKey !== 'string') {
+                errors.push('senderKey must have room and chainKey');
+            }
+            if (!Number.isInteger(payload.keyId) || !Number.isInteger(payload.iteration) || payload.iteration < 0) {
+                errors.push('senderKey must have integer keyId and iteration');
+            }
+        }
+
+        if (payload.action === SYSTEM_ACTIONS.ACK && typeof message.replyTo !== 'string') {
+            errors.push('ack must have replyTo');
+        }
+
+        if (payload.action === SYSTEM_ACTIONS.PONG && typeof message.replyTo !== 'string') {
+            errors.push('pong must have replyTo');
+        }
+
+        if (payload.action === SYSTEM_ACTIONS.MEMBER_LEFT
+            && (typeof payload.room !== 'string' || typeof payload.peerId !== 'string')) {
+            errors.push('memberLeft must have room and peerId');
+        }
+
+        if (payload.action === SYSTEM_ACTIONS.PEER_LIST) {
+            if (typeof message.replyTo !== 'string') {
+                errors.push('peerList must have replyTo');
+            }
+            if (!Array.isArray(payload.peers) || payload.peers.length > PEER_EXCHANGE.MAX_PEERS) {
+                errors.push(`peerList peers must be an array of at most ${PEER_EXCHANGE.MAX_PEERS} entries`);
+            } else if (!payload.peers.every(entry => entry && entry.peerInfo
+                && typeof entry.peerInfo.id === 'string' && typeof entry.peerInfo.publicKey === 'string'
+                && typeof entry.connected === 'boolean'
+                && (entry.room === undefined || typeof entry.room === 'string'))) {
+                errors.push('peerList entries must have peerInfo (id, publicKey) and connected');
+            }
+        }
+        
+        return errors;
+    }
+
+    static validateControlPayload(payload, message = {}) {
+        const errors = [];
+        
+        if (!payload.action) {
+            errors.push('control payload must have action field');
+        } else if (!Object.values(CONTROL_ACTIONS).includes(payload.action)) {
             errors.push(`Invalid control action: ${payload.action}`);
         }
+
+        if (payload.action === CONTROL_ACTIONS.TYPING && typeof payload.active !== 'boolean') {
+            errors.push('typing must have boolean active');
+        }
+
+        if (payload.action === CONTROL_ACTIONS.READ) {
+            if (typeof message.replyTo !== 'string') {
+                errors.push('read must have replyTo');
+            }
+            if (payload.messageIds !== undefined && !(Array.isArray(payload.messageIds)
+                && payload.messageIds.length <= LIMITS.MAX_READ_BATCH
+                && payload.messageIds.every(id => typeof id === 'string'))) {
+                errors.push(`read messageIds must be at most ${LIMITS.MAX_READ_BATCH} message ids`);
+            }
+        }
         
         return errors;
     }
 }
 
+// ============================================================================
+// Rate Limiter
+// ============================================================================
+
+/**
+ * Token-bucket limiter for messages received on one connection, with a
+ * separate bucket per message type. A relaying peer carries traffic for
+ * many senders, so relayed messages get buckets per original sender; past
+ * MAX_RELAYED_SENDERS they share one, so made-up senders gain nothing.
+ */
+class RateLimiter {
+    constructor(limits = RATE_LIMITS) {
+        this.limits = limits;
+        this.buckets = new Map();
+        this.relayedSenders = new Set();
+        this.violations = [];
+        this.flooding = false;
+    }
+
+    /**
+     * Take a token for a message type.
+     * Returns { allowed, notify, flooding, retryAfter }: `notify` is set at most
+     * once per NOTIFY_INTERVAL per type so the sender can be told, `flooding`
+     * is set once when the connection should be closed.
+     * @param {string} type - Message type
+     * @param {number} [now]
+     * @param {string} [relayedFrom] - Original sender of a relayed message
+     */
+    take(type, now = Date.now(), relayedFrom = null) {
+        const budget = this.limits.BUDGETS[type] || this.limits.DEFAULT_BUDGET;
+        const key = this.bucketKey(type, relayedFrom);
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: budget.burst, updatedAt: now, notifiedAt: 0 };
+            this.buckets.set(key, bucket);
+        }
+
+        // Refill for the time elapsed since the last message of this type
+        bucket.tokens = Math.min(budget.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * budget.rate);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, notify: false, flooding: false, retryAfter: 0 };
+        }
+
+        const retryAfter = Math.ceil((1 - bucket.tokens) / budget.rate * 1000);
+        if (this.flooding) {
+            return { allowed: false, notify: false, flooding: false, retryAfter };
+        }
+
+        // Count drops within the window; too many means the peer ignores RATE_LIMIT
+        this.violations.push(now);
+        while (this.violations.length > 0 && now - this.violations[0] > this.limits.VIOLATION_WINDOW) {
+            this.violations.shift();
+        }
+        if (this.violations.length > this.limits.MAX_VIOLATIONS) {
+            this.flooding = true;
+            return { allowed: false, notify: true, flooding: true, retryAfter };
+        }
+
+        const notify = now - bucket.notifiedAt >= this.limits.NOTIFY_INTERVAL;
+        if (notify) bucket.notifiedAt = now;
+        return { allowed: false, notify, flooding: false, retryAfter };
+    }
+
+    bucketKey(type, relayedFrom) {
+        if (relayedFrom === null) return type;
+        if (!this.relayedSenders.has(relayedFrom)) {
+            if (this.relayedSenders.size >= this.limits.MAX_RELAYED_SENDERS) return `*\n${type}`;
+            this.relayedSenders.add(relayedFrom);
+        }
+        return `${relayedFrom}\n${type}`;
+    }
+}
+
+// ============================================================================
+// Replay Guard
+// ============================================================================
+
+/**
+ * Rejects messages already seen from the same sender.
+ *
+ * Ids are remembered for LIMITS.TIME_TOLERANCE, after which the validator
+ * rejects the message by timestamp anyway. Each sender also has a floor:
+ * anything at or below it is treated as seen. The floor is raised when ids
+ * are evicted early, and the per-sender high-water marks are persisted so
+ * that after a reload everything received before it counts as seen.
+ */
+class ReplayGuard {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - e.g. localStorage; omit to keep state in memory
+     * @param {string} [options.storageKey]
+     * @param {number} [options.maxEntries]
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'lp2p.replayMarks';
+        this.maxEntries = options.maxEntries || LIMITS.MAX_SEEN_MESSAGES;
+        this.seen = new Map();          // "from\nid" -> timestamp, in arrival order
+        this.floors = new Map();        // from -> timestamp at or below which messages are replays
+        this.highWaterMarks = new Map(); // from -> newest accepted timestamp (capped at now)
+        this.saveTimer = null;
+        this.load();
+    }
+
+    /**
+     * Record a message; returns false if it was already seen
+     */
+    check(message, now = Date.now()) {
+        this.prune(now);
+
+        const key = `${message.from}\n${message.id}`;
+        const floor = this.floors.get(message.from) || 0;
+        if (this.seen.has(key) || message.timestamp <= floor) {
+            return false;
+        }
+
+        this.seen.set(key, message.timestamp);
+        if (this.seen.size > this.maxEntries) {
+            this.evictOldest();
+        }
+
+        // Cap at now so a peer with a fast clock cannot block its own future messages
+        const mark = Math.min(message.timestamp, now);
+        if (mark > (this.highWaterMarks.get(message.from) || 0)) {
+            this.highWaterMarks.set(message.from, mark);
+            this.scheduleSave();
+        }
+        return true;
+    }
+
+    /**
+     * Forget a message that was recorded but could not be processed, so a
+     * resend is accepted
+     */
+    forget(message) {
+        this.seen.delete(`${message.from}\n${message.id}`);
+    }
+
+    /**
+     * Forget ids and floors that have fallen outside the tolerance window
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - LIMITS.TIME_TOLERANCE;
+        for (const [key, timestamp] of this.seen) {
+            if (timestamp >= cutoff) break;
+            this.seen.delete(key);
+        }
+        for (const [from, floor] of this.floors) {
+            if (floor < cutoff) this.floors.delete(from);
+        }
+        for (const [from, mark] of this.highWaterMarks) {
+            if (mark < cutoff) this.highWaterMarks.delete(from);
+        }
+    }
+
+    /**
+     * Drop the oldest remembered id, raising its sender's floor so it stays rejected
+     */
+    evictOldest() {
+        const [key, timestamp] = this.seen.entries().next().value;
+        this.seen.delete(key);
+        const from = key.slice(0, key.indexOf('\n'));
+        if (timestamp > (this.floors.get(from) || 0)) {
+            this.floors.set(from, timestamp);
+        }
+    }
+
+    /**
+     * Load persisted high-water marks as floors
+     */
+    load() {
+        if (!this.storage) return;
+        try {
+            const data = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            for (const [from, mark] of Object.entries(data)) {
+                if (typeof mark === 'number') {
+                    this.floors.set(from, mark);
+                    this.highWaterMarks.set(from, mark);
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load replay marks:', error);
+        }
+    }
+
+    /**
+     * Persist high-water marks (debounced; call save() directly on unload)
+     */
+    scheduleSave() {
+        if (!this.storage || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), 1000);
+    }
+
+    save() {
+        if (!this.storage) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            this.prune();
+            this.storage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this.highWaterMarks)));
+        } catch (error) {
+            console.warn('Failed to save replay marks:', error);
+        }
+    }
+}
+
+// ============================================================================
+// Session Negotiation
+// ============================================================================
+
+/**
+ * Agree on a protocol version and feature set from two HELLOs.
+ *
+ * Both peers run negotiate() over the same pair of offers and the result is
+ * symmetric (highest common version, sorted feature intersection), so each
+ * side ends up with the same session without an extra round trip.
+ */
+class SessionNegotiator {
+    /**
+     * Parse "major.minor[.patch]" into numbers, or null if malformed
+     */
+    static parseVersion(version) {
+        if (typeof version !== 'string') return null;
+        const match = version.match(/^(\d+)\.(\d+)(?:\.(\d+))?$/);
+        if (!match) return null;
+        return [Number(match[1]), Number(match[2]), Number(match[3] || 0)];
+    }
+
+    static compareVersions(a, b) {
+        const va = SessionNegotiator.parseVersion(a);
+        const vb = SessionNegotiator.parseVersion(b);
+        for (let i = 0; i < 3; i++) {
+            if (va[i] !== vb[i]) return va[i] - vb[i];
+        }
+        return 0;
+    }
+
+    /**
+     * Check whether we can read messages stamped with a version. Newer minor
+     * versions of a major we speak are accepted (minor changes are additive).
+     */
+    static isVersionSupported(version, ranges = SUPPORTED_VERSIONS) {
+        const parsed = SessionNegotiator.parseVersion(version);
+        if (!parsed) return false;
+        return ranges.some(range =>
+            parsed[0] === SessionNegotiator.parseVersion(range.max)[0]
+            && SessionNegotiator.compareVersions(version, range.min) >= 0
+        );
+    }
+
+    /**
+     * Extract the negotiation offer from a HELLO message. Peers that predate
+     * negotiation only speak the version stamped on their messages.
+     */
+    static offerFromHello(message) {
+        const info = (message.payload && message.payload.peerInfo) || {};
+        const versions = Array.isArray(info.supportedVersions) && info.supportedVersions.length > 0
+            ? info.supportedVersions
+            : [{ min: message.version, max: message.version }];
+
+        return {
+            versions,
+            capabilities: Array.isArray(info.capabilities) ? info.capabilities : []
+        };
+    }
+
+    /**
+     * Negotiate a session from the local and remote offers ({versions, capabilities})
+     * @throws {ProtocolError} UNSUPPORTED_VERSION when no version range overlaps
+     */
+    static negotiate(local, remote) {
+        const valid = (range) => range
+            && SessionNegotiator.parseVersion(range.min)
+            && SessionNegotiator.parseVersion(range.max);
+
+        let version = null;
+        for (const ours of local.versions.filter(valid)) {
+            for (const theirs of remote.versions.filter(valid)) {
+                const low = SessionNegotiator.compareVersions(ours.min, theirs.min) >= 0 ? ours.min : theirs.min;
+                const high = SessionNegotiator.compareVersions(ours.max, theirs.max) <= 0 ? ours.max : theirs.max;
+                if (SessionNegotiator.compareVersions(low, high) > 0) continue;
+                if (!version || SessionNegotiator.compareVersions(high, version) > 0) {
+                    version = high;
+                }
+            }
+        }
+
+        if (!version) {
+            const describe = (ranges) => ranges.map(r => `${r && r.min}-${r && r.max}`).join(', ');
+            throw new ProtocolError(
+                ERROR_CODES.UNSUPPORTED_VERSION,
+                `No common protocol version (ours: ${describe(local.versions)}; theirs: ${describe(remote.versions)})`,
+                { supportedVersions: local.versions }
+            );
+        }
+
+        const features = local.capabilities
+            .filter(feature => remote.capabilities.includes(feature))
+            .sort();
+
+        return {
+            version,
+            features: [...new Set(features)],
+            remoteVersions: remote.versions,
+            establishedAt: Date.now()
+        };
+    }
+}
+
 // ============================================================================
 // Message Factory
 // ============================================================================
@@ -413,11 +1514,43 @@ class MessageFactory {
     /**
      * Create a text message
      */
-    static createText(from, to, text, format = 'plain') {
+    static createText(from, to, text, format = 'plain', replyTo = null) {
         return new Message(MESSAGE_TYPES.TEXT, from, to, {
             text,
             format
-        });
+        }, { replyTo });
+    }
+
+    /**
+     * Create an edit of one of our earlier text messages
+     */
+    static createEdit(from, to, messageId, text, revision) {
+        return new Message(MESSAGE_TYPES.TEXT, from, to, {
+            action: TEXT_ACTIONS.EDIT,
+            text,
+            revision
+        }, { replyTo: messageId });
+    }
+
+    /**
+     * Create a deletion of one of our earlier text messages
+     */
+    static createDelete(from, to, messageId, revision) {
+        return new Message(MESSAGE_TYPES.TEXT, from, to, {
+            action: TEXT_ACTIONS.DELETE,
+            revision
+        }, { replyTo: messageId });
+    }
+
+    /**
+     * Create (or, with active = false, take back) an emoji reaction to a text message
+     */
+    static createReaction(from, to, messageId, emoji, active = true) {
+        return new Message(MESSAGE_TYPES.TEXT, from, to, {
+            action: TEXT_ACTIONS.REACT,
+            emoji,
+            active
+        }, { replyTo: messageId });
     }
 
     /**
@@ -465,6 +1598,17 @@ class MessageFactory {
         return new Message(MESSAGE_TYPES.FILE, from, to, payload);
     }
 
+    /**
+     * Create a file resume message listing the chunk ranges already received
+     */
+    static createFileResume(from, to, fileId, ranges) {
+        return new Message(MESSAGE_TYPES.FILE, from, to, {
+            action: FILE_ACTIONS.RESUME,
+            fileId,
+            ranges
+        });
+    }
+
     /**
      * Create a structured data message
      */
@@ -497,12 +1641,56 @@ class MessageFactory {
     }
 
     /**
-     * Create an introduction message (host tells one peer about another)
+     * Create an introduction message (host tells one peer about another).
+     * `room` is set when the introduced peer is a member of that room.
      */
-    static createIntroduce(from, to, peerInfo) {
+    static createIntroduce(from, to, peerInfo, room = null) {
+        const payload = { action: SYSTEM_ACTIONS.INTRODUCE, peerInfo };
+        if (room) payload.room = room;
+        return new Message(MESSAGE_TYPES.SYSTEM, from, to, payload);
+    }
+
+    /**
+     * Create a peer list request
+     */
+    static createListPeers(from, to) {
         return new Message(MESSAGE_TYPES.SYSTEM, from, to, {
-            action: SYSTEM_ACTIONS.INTRODUCE,
-            peerInfo
+            action: SYSTEM_ACTIONS.LIST_PEERS
+        });
+    }
+
+    /**
+     * Create a peer list (reply to listPeers). Each entry is
+     * { peerInfo, connected, lastSeen, room? }.
+     */
+    static createPeerList(from, to, peers, requestId) {
+        return new Message(MESSAGE_TYPES.SYSTEM, from, to, {
+            action: SYSTEM_ACTIONS.PEER_LIST,
+            peers
+        }, { replyTo: requestId });
+    }
+
+    /**
+     * Create a sender key message (one member's room chain key for another)
+     */
+    static createSenderKey(from, to, room, keyId, chainKey, iteration) {
+        return new Message(MESSAGE_TYPES.SYSTEM, from, to, {
+            action: SYSTEM_ACTIONS.SENDER_KEY,
+            room,
+            keyId,
+            chainKey,
+            iteration
+        });
+    }
+
+    /**
+     * Create a member-left message (host tells a member who disconnected)
+     */
+    static createMemberLeft(from, to, room, memberId) {
+        return new Message(MESSAGE_TYPES.SYSTEM, from, to, {
+            action: SYSTEM_ACTIONS.MEMBER_LEFT,
+            room,
+            peerId: memberId
         });
     }
 
@@ -515,6 +1703,15 @@ class MessageFactory {
         return new Message(MESSAGE_TYPES.SYSTEM, from, '*', payload);
     }
 
+    /**
+     * Create an acknowledgement for a received TEXT or DATA message
+     */
+    static createAck(from, to, messageId) {
+        return new Message(MESSAGE_TYPES.SYSTEM, from, to, {
+            action: SYSTEM_ACTIONS.ACK
+        }, { replyTo: messageId });
+    }
+
     /**
      * Create a ping message
      */
@@ -562,12 +1759,133 @@ class MessageFactory {
     }
 
     /**
-     * Create a read receipt message
+     * Create a read receipt message. `messageIds` lists every message read
+     * since the last receipt (`messageId`, the newest, among them).
      */
-    static createReadReceipt(from, to, messageId) {
+    static createReadReceipt(from, to, messageId, messageIds = null) {
+        const payload = { action: CONTROL_ACTIONS.READ };
+        if (messageIds) payload.messageIds = messageIds;
+        return new Message(MESSAGE_TYPES.CONTROL, from, to, payload, { replyTo: messageId });
+    }
+
+    /**
+     * Create a focus or away message (our page was shown or hidden)
+     */
+    static createActivity(from, to, away) {
         return new Message(MESSAGE_TYPES.CONTROL, from, to, {
-            action: CONTROL_ACTIONS.READ
-        }, { replyTo: messageId });
+            action: away ? CONTROL_ACTIONS.AWAY : CONTROL_ACTIONS.FOCUS
+        });
+    }
+}
+
+// ============================================================================
+// Message Signer
+// ============================================================================
+
+/**
+ * Signs and verifies messages over a canonical encoding of SIGNED_FIELDS.
+ *
+ * The canonical form is JSON with object keys sorted (by UTF-16 code unit),
+ * no whitespace, undefined fields dropped and binary data as base64, so both
+ * ends produce the same bytes regardless of property order on the wire.
+ */
+class MessageSigner {
+    /**
+     * @param {Object} options
+     * @param {PeerIdentity} [options.identity] - Own identity, used to sign
+     * @param {Function} [options.resolveIdentity] - async (message) => identity
+     *   with verify(data, signature) for the sender, or null if unknown
+     */
+    constructor(options = {}) {
+        this.identity = options.identity || null;
+        this.resolveIdentity = options.resolveIdentity || (async () => null);
+    }
+
+    /**
+     * Canonical JSON encoding of a value
+     */
+    static canonicalize(value) {
+        if (value === null) return 'null';
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            return JSON.stringify(MessageSigner.bytesToBase64(value));
+        }
+
+        switch (typeof value) {
+            case 'string':
+            case 'boolean':
+                return JSON.stringify(value);
+            case 'number':
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+                }
+                return JSON.stringify(value);
+            case 'object': {
+                if (Array.isArray(value)) {
+                    return '[' + value.map(item => item === undefined ? 'null' : MessageSigner.canonicalize(item)).join(',') + ']';
+                }
+                const keys = Object.keys(value)
+                    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+                    .sort();
+                return '{' + keys.map(key => JSON.stringify(key) + ':' + MessageSigner.canonicalize(value[key])).join(',') + '}';
+            }
+            default:
+                throw new Error(`Cannot canonicalize ${typeof value}`);
+        }
+    }
+
+    /**
+     * The exact string that is signed for a message
+     */
+    static signingPayload(message) {
+        const envelope = {};
+        for (const field of SIGNED_FIELDS) {
+            if (message[field] !== undefined) {
+                envelope[field] = message[field];
+            }
+        }
+        return MessageSigner.canonicalize(envelope);
+    }
+
+    static bytesToBase64(data) {
+        const bytes = data instanceof ArrayBuffer
+            ? new Uint8Array(data)
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Sign a message in place with our identity
+     */
+    async sign(message) {
+        if (!this.identity) {
+            throw new Error('Cannot sign message: no identity');
+        }
+        message.signature = await this.identity.sign(MessageSigner.signingPayload(message));
+        return message;
+    }
+
+    /**
+     * Verify a message's signature against the sender's identity
+     */
+    async verify(message) {
+        if (typeof message.signature !== 'string') return false;
+
+        const sender = await this.resolveIdentity(message);
+        if (!sender) {
+            console.warn('Cannot verify: no key known for', message.from);
+            return false;
+        }
+
+        try {
+            return await sender.verify(MessageSigner.signingPayload(message), message.signature);
+        } catch (error) {
+            console.warn('Signature verification error:', error);
+            return false;
+        }
     }
 }
 
@@ -575,59 +1893,295 @@ class MessageFactory {
 // Message Handler Registry
 // ============================================================================
 
+/**
+ * Checks incoming messages and dispatches them to handlers.
+ *
+ * Middleware added with use() wraps each message: `before` hooks run in the
+ * order they were added, on the message as received (still sealed), and
+ * can drop it; `after` hooks run in reverse order once it was handled,
+ * dropped or rejected. Handlers run one at a time, highest priority first,
+ * and can stop the ones after them. Later handlers, `after` hooks and the
+ * caller wait for each one, so long work (an upload) is started, not awaited.
+ */
 class MessageHandler {
     constructor() {
-        this.handlers = new Map();
+        this.handlers = new Map();      // type -> [{ handler, priority }], highest priority first
+        this.middleware = [];
+        this.signer = null;
+        this.signaturesRequired = new Set();
+        this.replayGuard = null;
+        this.decryptor = null;
+    }
+
+    /**
+     * Set the function that decrypts sealed payloads in place, e.g.
+     * (message) => encryption.open(message)
+     */
+    setDecryptor(decryptor) {
+        this.decryptor = decryptor;
+    }
+
+    /**
+     * Set the ReplayGuard used to reject duplicate messages
+     */
+    setReplayGuard(guard) {
+        this.replayGuard = guard;
+    }
+
+    /**
+     * Set the MessageSigner used to verify incoming signatures
+     */
+    setSigner(signer) {
+        this.signer = signer;
+    }
+
+    /**
+     * Require a valid signature on a message type, or on one action of it
+     */
+    requireSignature(type, action = null) {
+        this.signaturesRequired.add(action ? `${type}:${action}` : type);
+    }
+
+    /**
+     * Check whether a message must carry a valid signature. Binary frames
+     * cannot; their sender is bound to the channel they arrived on instead.
+     */
+    isSignatureRequired(message) {
+        if (message.linkBound) return false;
+        return this.signaturesRequired.has(message.type)
+            || this.signaturesRequired.has(`${message.type}:${message.payload.action}`);
+    }
+
+    /**
+     * Add middleware: { before(message, context), after(message, context) },
+     * either hook optional. `before` can call context.drop(reason) (or return
+     * false) to discard the message, or throw a ProtocolError to reject it;
+     * `after` sees context.dropped, context.stopped and context.error.
+     * @returns {Function} Removes the middleware
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return () => {
+            const index = this.middleware.indexOf(middleware);
+            if (index === -1) return false;
+            this.middleware.splice(index, 1);
+            return true;
+        };
     }
 
     /**
-     * Register a handler for a message type
+     * Register a handler for a message type. Handlers are called with
+     * (message, context); context.stopPropagation() skips the rest.
+     * @param {Object} [options] - { priority }: higher runs first (default 0);
+     *   equal priorities run in the order they were registered
+     * @returns {Function} Removes the handler
      */
-    register(type, handler) {
+    register(type, handler, options = {}) {
         if (!this.handlers.has(type)) {
             this.handlers.set(type, []);
         }
-        this.handlers.get(type).push(handler);
+        const entry = { handler, priority: options.priority || 0 };
+        const entries = this.handlers.get(type);
+        const index = entries.findIndex(other => other.priority < entry.priority);
+        entries.splice(index === -1 ? entries.length : index, 0, entry);
+
+        return () => {
+            const current = this.handlers.get(type) || [];
+            const at = current.indexOf(entry);
+            if (at === -1) return false;
+            current.splice(at, 1);
+            return true;
+        };
     }
 
     /**
      * Register a handler for a specific message type and action
+     * @returns {Function} Removes the handler
      */
-    registerAction(type, action, handler) {
-        this.register(type, (message) => {
+    registerAction(type, action, handler, options = {}) {
+        return this.register(type, (message, context) => {
             if (message.payload.action === action) {
-                handler(message);
+                return handler(message, context);
             }
-        });
+        }, options);
     }
 
     /**
      * Handle an incoming message
+     * @returns {Promise<Object>} The context: { dropped, reason, stopped }
+     * @throws {ProtocolError} When the message is rejected
+     * @throws {HandlerError} When a handler failed (after all handlers ran)
      */
     async handle(message) {
+        const context = {
+            dropped: false,
+            reason: null,
+            stopped: false,
+            error: null,
+            drop(reason = null) {
+                this.dropped = true;
+                this.reason = reason;
+            },
+            stopPropagation() {
+                this.stopped = true;
+            }
+        };
+        const middleware = [...this.middleware];
+
+        try {
+            for (const { before } of middleware) {
+                if (before && await before(message, context) === false) context.drop();
+                if (context.dropped) return context;
+            }
+            await this.check(message);
+            await this.dispatch(message, context);
+            return context;
+        } catch (error) {
+            context.error = error;
+            throw error;
+        } finally {
+            for (const { after } of middleware.reverse()) {
+                if (!after) continue;
+                try {
+                    await after(message, context);
+                } catch (error) {
+                    console.error(`Middleware error after ${message.type}:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Built-in checks: version, validation, signature, replay, then
+     * decryption and inflation of the payload and DATA schema upgrades
+     */
+    async check(message) {
+        // Reject versions we cannot read before anything else
+        if (SessionNegotiator.parseVersion(message.version) && !SessionNegotiator.isVersionSupported(message.version)) {
+            throw new ProtocolError(
+                ERROR_CODES.UNSUPPORTED_VERSION,
+                `Unsupported protocol version: ${message.version}`,
+                { supportedVersions: SUPPORTED_VERSIONS }
+            );
+        }
+
         // Validate first
         const validation = MessageValidator.validate(message);
         if (!validation.valid) {
             console.error('Message validation failed:', validation.errors);
-            throw new Error(`Invalid message: ${validation.errors.join(', ')}`);
+            throw new ProtocolError(
+                ERROR_CODES.VALIDATION_FAILED,
+                `Invalid message: ${validation.errors.join(', ')}`,
+                { errors: validation.errors }
+            );
         }
 
-        // Call all registered handlers for this type
-        const handlers = this.handlers.get(message.type) || [];
-        const promises = handlers.map(handler => {
+        // Verify the signature, if any, and enforce it where required
+        if (this.signer && message.signature !== undefined) {
+            message.signatureValid = await this.signer.verify(message);
+        }
+        if (this.isSignatureRequired(message) && !message.signatureValid) {
+            throw new ProtocolError(
+                ERROR_CODES.UNAUTHORIZED,
+                message.signature === undefined ? 'Signature required' : 'Invalid signature',
+                { type: message.type, action: message.payload.action }
+            );
+        }
+
+        // Checked after the signature so a forged copy cannot burn the real message id
+        if (this.replayGuard && !this.replayGuard.check(message)) {
+            throw new ProtocolError(
+                ERROR_CODES.DUPLICATE_MESSAGE,
+                `Duplicate message ${message.id} from ${message.from}`
+            );
+        }
+
+        // Decrypt and inflate last, then validate the payload that was hidden
+        const hidden = MessageValidator.isSealed(message) || PayloadCompressor.isCompressed(message);
+        if (MessageValidator.isSealed(message)) {
+            if (!this.decryptor) {
+                throw new ProtocolError(ERROR_CODES.DECRYPTION_FAILED, 'Encrypted messages are not supported');
+            }
+            try {
+                await this.decryptor(message);
+            } catch (error) {
+                // Accept a resend once we have the key
+                if (this.replayGuard) this.replayGuard.forget(message);
+                throw error;
+            }
+        }
+
+        // A sealed payload shows its compression only now; never inflate
+        // past the size validateCompression() accepts
+        if (PayloadCompressor.isCompressed(message)) {
+            const compressionErrors = MessageValidator.validateCompression(message);
+            if (compressionErrors.length > 0) {
+                throw new ProtocolError(
+                    ERROR_CODES.VALIDATION_FAILED,
+                    `Invalid message: ${compressionErrors.join(', ')}`,
+                    { errors: compressionErrors }
+                );
+            }
+            await PayloadCompressor.decompress(message);
+        }
+
+        if (hidden) {
+            const payloadErrors = MessageValidator.validatePayload(message);
+            if (payloadErrors.length > 0) {
+                throw new ProtocolError(
+                    ERROR_CODES.VALIDATION_FAILED,
+                    `Invalid message: ${payloadErrors.join(', ')}`,
+                    { errors: payloadErrors }
+                );
+            }
+
+            // A sealed SYSTEM message only shows its action now
+            if (this.isSignatureRequired(message) && !message.signatureValid) {
+                throw new ProtocolError(
+                    ERROR_CODES.UNAUTHORIZED,
+                    'Signature required',
+                    { type: message.type, action: message.payload.action }
+                );
+            }
+        }
+
+        // Handlers see DATA content in the newest registered schema version
+        if (message.type === MESSAGE_TYPES.DATA) {
+            const schemaErrors = dataSchemas.upgrade(message.payload);
+            if (schemaErrors.length > 0) {
+                throw new ProtocolError(
+                    ERROR_CODES.VALIDATION_FAILED,
+                    `Invalid ${message.payload.dataType} data: ${schemaErrors.join(', ')}`,
+                    { errors: schemaErrors }
+                );
+            }
+        }
+    }
+
+    /**
+     * Call the handlers for a message's type in priority order. A failing
+     * handler does not stop the others; the first failure is thrown after
+     * them (as is, if it is a ProtocolError).
+     */
+    async dispatch(message, context) {
+        const failures = [];
+        for (const { handler } of [...(this.handlers.get(message.type) || [])]) {
             try {
-                return Promise.resolve(handler(message));
+                await handler(message, context);
             } catch (error) {
                 console.error(`Handler error for ${message.type}:`, error);
-                return Promise.reject(error);
+                failures.push(error);
             }
-        });
+            if (context.stopped) break;
+        }
 
-        await Promise.allSettled(promises);
+        if (failures.length > 0) {
+            throw failures[0] instanceof ProtocolError ? failures[0] : new HandlerError(message.type, failures[0]);
+        }
     }
 
     /**
-     * Clear all handlers
+     * Clear all handlers (middleware stays)
      */
     clear() {
         this.handlers.clear();
@@ -650,21 +2204,273 @@ class MessageHandler {
  */
 function initMessageHandlers() {
     messageHandler = new LP2P.MessageHandler();
+
+    // Verify signatures against the sender's key; chat, DATA, FILE, HELLO, ACK,
+    // introductions and anything that removes a room member must be signed. Room keys are
+    // shared, so a sealed message alone does not prove who sent it.
+    messageSigner = new LP2P.MessageSigner({
+        identity: ownIdentity,
+        resolveIdentity: (message) => resolveSenderIdentity(message)
+    });
+    messageHandler.setSigner(messageSigner);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.TEXT);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.DATA);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.FILE);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.HELLO);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.ACK);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.INTRODUCE);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.PEER_LIST);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.GOODBYE);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.MEMBER_LEFT);
+    messageHandler.requireSignature(LP2P.MESSAGE_TYPES.CONTROL);
+
+    // Reject replays, including ones across page reloads
+    if (replayGuard) replayGuard.save();
+    replayGuard = new LP2P.ReplayGuard({
+        storage: (typeof localStorage !== 'undefined') ? localStorage : null
+    });
+    messageHandler.setReplayGuard(replayGuard);
+
+    // End-to-end encryption with keys published in HELLO
+    encryption = new LP2PEncryption.EncryptionManager({
+        identity: ownIdentity,
+        storage: (typeof localStorage !== 'undefined') ? localStorage : null
+    });
+
+    // Room broadcasts are sealed once with the sender's room key instead
+    senderKeys = new LP2PSenderKeys.SenderKeyManager({
+        peerId,
+        send: (message) => sendSealed(message),
+        onMembersChanged: (code, members) => recordRoomMembers(code, members)
+    });
+    if (currentRoomCode) senderKeys.joinRoom(currentRoomCode);
+    // Routes to peers we are not connected to, learned from HELLO, INTRODUCE and traffic
+    router = new LP2PRouter.MeshRouter({
+        peerId,
+        isLinkOpen: (pid) => {
+            const conn = getConnectionByPeerId(pid);
+            return !!(conn && conn.dc && conn.dc.readyState === 'open');
+        },
+        canForward: (pid) => peerSupports(pid, LP2P.FEATURES.ROUTING)
+    });
+
+    // Typing, away status and read receipts for the chat
+    activity = new LP2PActivity.ActivityManager({
+        peerId,
+        recipients: () => chatPeers(),
+        send: (message) => sendControl(message),
+        storage: (typeof localStorage !== 'undefined') ? localStorage : null,
+        onTyping: () => renderTypingIndicator(),
+        onActivity: () => updatePeerRoster(),
+        onReceipt: (messageId, readers) => renderReadReceipt(messageId, readers)
+    });
+
+    // Ping each connection to time round trips and catch ones that went silent
+    if (heartbeat) heartbeat.clear();
+    heartbeat = new LP2PHeartbeat.HeartbeatMonitor({
+        sendPing: (connectionId) => {
+            const conn = connections.get(connectionId);
+            if (!conn || !conn.peerId || !conn.dc || conn.dc.readyState !== 'open') return null;
+            const ping = LP2P.MessageFactory.createPing(peerId, conn.peerId);
+            sendRawMessage(ping, conn.dc);
+            return ping.id;
+        },
+        isOpen: (connectionId) => {
+            const conn = connections.get(connectionId);
+            return !!(conn && conn.dc && conn.dc.readyState === 'open');
+        },
+        onChange: () => updatePeerRoster(),
+        onDead: (connectionId, stats) => {
+            console.warn('No pong on', connectionId, 'for', stats.missed, 'pings, closing it');
+            teardownConnection(connectionId);
+        }
+    });
+
+    messageHandler.setDecryptor((message) => message.payload.sealed.room !== undefined
+        ? senderKeys.open(message)
+        : encryption.open(message));
     
+    // Edits and deletions of chat messages, kept as tombstones
+    edits = new LP2PMessageEdits.EditLog({
+        peerId,
+        send: async (record, pids) => {
+            const targets = pids.filter(pid => routeTo(pid));
+            if (targets.length === 0) return;
+            const change = record.deleted
+                ? LP2P.MessageFactory.createDelete(peerId, '*', record.messageId, record.revision)
+                : LP2P.MessageFactory.createEdit(peerId, '*', record.messageId, record.text, record.revision);
+            await sendTracked(change, targets);
+        },
+        onChange: (messageId, record) => renderMessageEdit(messageId, record),
+        store: (typeof window !== 'undefined' && window.LP2PEditStore) || null
+    });
+    edits.restore().catch(err => console.warn('Failed to restore message edits:', err));
+
+    // Emoji reactions, shown under the message they react to
+    reactions = new LP2PReactions.ReactionTracker({
+        peerId,
+        send: async (messageId, emoji, active) => {
+            const targets = chatPeers();
+            if (targets.length === 0) return;
+            await sendTracked(LP2P.MessageFactory.createReaction(peerId, '*', messageId, emoji, active), targets);
+        },
+        onChange: (messageId, summary) => renderReactions(messageId, summary)
+    });
+
     // Handle text messages
     messageHandler.register(LP2P.MESSAGE_TYPES.TEXT, (message) => {
         console.log('Handling text message:', message);
+
+        // Reactions to, and edits and deletions of, an earlier message (signature already required)
+        if (message.payload.action === LP2P.TEXT_ACTIONS.REACT) return reactions.handle(message);
+        if (message.payload.action) return edits.handle(message);
         
         // Add verification indicator if message was signed
-        let displayText = message.payload.text;
-        if (message.signature !== undefined) {
-            const icon = message.signatureValid ? '✓' : '⚠';
-            displayText = `${icon} ${displayText}`;
-        }
+        const indicators = [];
+        if (message.encrypted) indicators.push('🔒');
+        if (message.signature !== undefined) indicators.push(message.signatureValid ? '✓' : '⚠');
         
-        addMessage(displayText, false, message.id, message.from);
+        // Rich formats are rendered through the sanitizer (see markdown.js)
+        activity.peerStoppedTyping(message.from);
+        edits.trackMessage(message.id, message.from, message.payload.text, [], message.timestamp);
+        addMessage(message.payload.text, false, message.id, message.from, null, message.replyTo || null,
+            message.payload.format || 'plain', indicators.join(' '));
+
+        // The author may have changed it before it reached us
+        const record = edits.lookup(message.id, message.from);
+        if (record) renderMessageEdit(message.id, record);
     });
-    
+
+    // Resend chat and data messages until their recipients acknowledge them
+    if (outbox) outbox.clear();
+    outbox = new LP2POutbox.Outbox({
+        onStatus: (messageId, status, progress) => {
+            updateMessageStatus(messageId, status, progress);
+            // Queued messages leave the queue's store only once acknowledged
+            if (offlineQueue) {
+                offlineQueue.settle(messageId, status)
+                    .catch(err => console.warn('Failed to settle queued message', messageId, err));
+            }
+        }
+    });
+
+    // Messages for contacts we cannot reach wait until they are online again
+    offlineQueue = new LP2POutbox.OfflineQueue({
+        store: (typeof window !== 'undefined' && window.LP2POutboxStore) || null,
+        deliver: (item) => deliverQueuedMessage(item),
+        connect: (pid) => {
+            if (window.globalPeerJS && window.globalPeerJS.peer) createDirectOffer(pid);
+        },
+        isReachable: (pid) => !!routeTo(pid),
+        onChange: () => updatePeerRoster()
+    });
+    offlineQueue.restore()
+        .then(items => items.forEach(item => addQueuedMessage(item)))
+        .catch(err => console.warn('Failed to restore queued messages:', err));
+
+    // Handle file transfers
+    fileTransfers = new LP2PFileTransfer.FileTransferManager({
+        peerId,
+        send: (message) => sendToPeer(message.to, message),
+        supportsBinary: (pid) => peerSupports(pid, LP2P.FEATURES.BINARY_CHUNKS),
+        onUpdate: (transfer) => renderFileTransfer(transfer),
+        store: (typeof window !== 'undefined' && window.LP2PTransferStore) || null
+    });
+    fileTransfers.restore().catch(err => console.warn('Failed to restore file transfers:', err));
+    messageHandler.register(LP2P.MESSAGE_TYPES.FILE, (message) => fileTransfers.handleMessage(message));
+
+    // Collaborative notes travel as DATA messages
+    const { DATA_TYPE, SCHEMA } = LP2PNotes.NOTES;
+    LP2P.dataSchemas.register(DATA_TYPE, SCHEMA, LP2PNotes.NOTE_SCHEMA);
+    notes = new LP2PNotes.NotesManager({
+        peerId,
+        send: (pid, content) => sendTracked(LP2P.MessageFactory.createData(peerId, pid, DATA_TYPE, SCHEMA, content), [pid]),
+        isReachable: (pid) => !!routeTo(pid),
+        onUpdate: (note, change) => renderNote(note, change),
+        store: (typeof window !== 'undefined' && window.LP2PNotesStore) || null
+    });
+    notes.restore()
+        .then(() => renderNotesList())
+        .catch(err => console.warn('Failed to restore notes:', err));
+    messageHandler.register(LP2P.MESSAGE_TYPES.DATA, (message) => {
+        if (message.payload.dataType === DATA_TYPE) notes.handleMessage(message);
+    });
+
+    // Shared repositories: content-addressed objects fetched over DATA messages
+    const repoData = LP2PRepos.REPOS;
+    LP2P.dataSchemas.register(repoData.DATA_TYPE, repoData.SCHEMA, LP2PRepos.REPO_SCHEMA);
+    repos = new LP2PRepos.RepoManager({
+        peerId,
+        store: window.LP2PRepoStore,
+        send: (pid, content) => sendTracked(LP2P.MessageFactory.createData(peerId, pid, repoData.DATA_TYPE, repoData.SCHEMA, content), [pid]),
+        isReachable: (pid) => !!routeTo(pid),
+        onUpdate: (repo) => renderRepo(repo)
+    });
+    repos.restore()
+        .then(() => renderReposList())
+        .catch(err => console.warn('Failed to restore repositories:', err));
+    messageHandler.register(LP2P.MESSAGE_TYPES.DATA, (message) => {
+        if (message.payload.dataType === repoData.DATA_TYPE) return repos.handleMessage(message);
+    });
+
+    // Shared maps (LP2P.SharedMap) replicate to the members of their room
+    const sharedMap = LP2PSharedMap.SHARED_MAP;
+    const createMapData = (to, content) => LP2P.MessageFactory.createData(peerId, to, sharedMap.DATA_TYPE, sharedMap.SCHEMA, content);
+    const reportMapError = (error) => console.warn('Could not send shared map update:', error);
+    LP2P.dataSchemas.register(sharedMap.DATA_TYPE, sharedMap.SCHEMA, LP2PSharedMap.SHARED_MAP_SCHEMA);
+    LP2PSharedMap.configureSharedMaps({
+        peerId,
+        broadcast: (code, content) => {
+            const members = senderKeys.getMembers(code);
+            if (members.length === 0) return;
+            // One sender-key broadcast when the room is reachable that way, else a copy per member
+            const room = senderKeyRoomConnections(code) ? code : null;
+            const targets = room ? [] : members.filter(pid => routeTo(pid));
+            if (room || targets.length > 0) {
+                sendTracked(createMapData('*', content), targets, room).catch(reportMapError);
+            }
+        },
+        sendTo: (pid, content) => {
+            if (routeTo(pid)) sendTracked(createMapData(pid, content), [pid]).catch(reportMapError);
+        },
+        isMember: (code, pid) => senderKeys.isMember(code, pid),
+        store: (typeof window !== 'undefined' && window.LP2PSharedMapStore) || null
+    });
+    messageHandler.register(LP2P.MESSAGE_TYPES.DATA, (message) => {
+        if (message.payload.dataType === sharedMap.DATA_TYPE) LP2PSharedMap.handleSharedMapMessage(message);
+    });
+
+    /**
+     * Take in a peer another peer told us about (INTRODUCE or peerList).
+     * Returns true if the peer was new to us.
+     */
+    async function learnIntroducedPeer(info, introducer, { connected = false, room = null } = {}) {
+        if (info.id === peerId) return false;
+
+        // Known peers keep the identity key we already hold
+        const existing = identityManager.getPeer(info.id);
+        if (!existing) {
+            const trustRecord = await identityManager.addPeer(info, introducer);
+            console.log('Added peer introduced by', introducer, trustRecord);
+        }
+
+        // Accept the introduced encryption key only if it is signed by the identity key we hold
+        await encryption.registerPeerKey(info, existing ? existing.publicKey : info.publicKey);
+
+        // The introducer is connected to the peer, so it is reachable through them
+        if (connected) {
+            router.addRoute(info.id, introducer, 1);
+            if (!getConnectionByPeerId(info.id)) offlineQueue.flush(info.id);
+        }
+
+        // Room membership is only taken from the host we joined the room through
+        if (isHostOfJoinedRoom(introducer, room)) {
+            await senderKeys.addMember(room, info.id);
+            LP2PSharedMap.sharedMapsPeerConnected(info.id);
+        }
+        return !existing;
+    }
+
     // Handle system messages
     messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.HELLO, async (message) => {
         console.log('Peer introduced:', message.payload.peerInfo);
@@ -677,6 +2483,7 @@ function initMessageHandlers() {
                 break;
             }
         }
+        router.addRoute(message.from, message.from, 0);
         
         const peerInfo = message.payload.peerInfo;
         const peerName = peerInfo.profile?.name || peerInfo.name || message.from;
@@ -696,42 +2503,42 @@ function initMessageHandlers() {
             }
             
             console.log('Added peer with fingerprint:', trustRecord.fingerprint);
+
+            // HELLO signature checked out against this key, so trust its X25519 key too
+            await encryption.registerPeerKey(peerInfo);
             
             // Display peer info panel
             displayPeerInfo();
 
             // Get connection for this peer
             const newcomerConn = getConnectionByPeerId(peerInfo.id);
+            const newcomerRoom = roomCodeOf(peerInfo.id);
+
+            // A peer that reached us through room signaling is a room member
+            if (newcomerRoom) await senderKeys.addMember(newcomerRoom, peerInfo.id);
             
             // Host introduces itself to the newcomer
             if (newcomerConn && newcomerConn.dc && newcomerConn.dc.readyState === 'open') {
                 const hostInfo = ownIdentity.getPublicInfo();
-                const introSelf = LP2P.MessageFactory.createIntroduce(peerId, peerInfo.id, hostInfo);
-                newcomerConn.dc.send(introSelf.serialize());
+                const introSelf = LP2P.MessageFactory.createIntroduce(peerId, peerInfo.id, hostInfo, newcomerRoom);
+                await messageSigner.sign(introSelf);
+                sendRawMessage(introSelf, newcomerConn.dc);
                 console.log('Host introduced itself to newcomer');
             }
 
-            // Host-mediated introductions: inform existing peers & newcomer about each other
-            if (connections.size > 1) {
-                const newPeerInfo = peerInfo;
-                // Send newcomer info to others
-                for (const [cid, conn] of connections.entries()) {
-                    if (conn.peerId && conn.peerId !== newPeerInfo.id && conn.dc && conn.dc.readyState === 'open') {
-                        const introMsg = LP2P.MessageFactory.createIntroduce(peerId, conn.peerId, newPeerInfo);
-                        conn.dc.send(introMsg.serialize());
-                    }
-                }
-                // Send existing peers info to newcomer
-                if (newcomerConn && newcomerConn.dc && newcomerConn.dc.readyState === 'open') {
-                    for (const record of identityManager.getAllPeers()) {
-                        if (record.peerId !== newPeerInfo.id) {
-                            const existingInfo = buildPeerInfo(record);
-                            const introBack = LP2P.MessageFactory.createIntroduce(peerId, newPeerInfo.id, existingInfo);
-                            newcomerConn.dc.send(introBack.serialize());
-                        }
+            // The host tells its room's members about a newcomer to that room;
+            // everyone else learns about peers by asking (listPeers)
+            if (newcomerRoom) {
+                for (const conn of connections.values()) {
+                    if (conn.peerId && conn.peerId !== peerInfo.id && conn.roomCode === newcomerRoom
+                        && conn.dc && conn.dc.readyState === 'open') {
+                        const introMsg = LP2P.MessageFactory.createIntroduce(peerId, conn.peerId, peerInfo, newcomerRoom);
+                        await messageSigner.sign(introMsg);
+                        sendRawMessage(introMsg, conn.dc);
                     }
                 }
             }
+            await identityManager.markSeen(peerInfo.id);
             
             // Show signature verification status
             if (message.signatureValid) {
@@ -745,6 +2552,26 @@ function initMessageHandlers() {
         
         updateStatus('connected', `Connected to ${peerName}`);
         updatePeerRoster(); // Update roster when peer connects
+
+        // Learn who else they are connected to
+        requestPeerList(message.from);
+
+        // Continue any file transfers that were interrupted by a previous disconnect
+        fileTransfers.peerConnected(message.from);
+
+        // Send what was written while they were offline
+        offlineQueue.flush(message.from);
+
+        // Catch up on notes, repositories and shared maps changed while we were apart
+        notes.peerConnected(message.from);
+        repos.peerConnected(message.from);
+        LP2PSharedMap.sharedMapsPeerConnected(message.from);
+
+        // Tell them if we are away
+        activity.peerConnected(message.from);
+
+        // Send them changes we made to messages they were sent
+        edits.peerConnected(message.from);
     });
 
     // Handle introduction messages (host-mediated peer discovery)
@@ -753,27 +2580,65 @@ function initMessageHandlers() {
         if (!info || !info.id) return;
         
         console.log('Received INTRODUCE for peer:', info.id, 'with profile:', info.profile);
-        
-        // Associate connection with this peer if not already done
-        for (const [cid, conn] of connections.entries()) {
-            if (!conn.peerId && conn.dc && conn.dc.readyState === 'open') {
-                conn.peerId = info.id;
-                console.log('Associated connection', cid, 'with introduced peer', info.id);
-                break;
-            }
-        }
-        
-        const existing = identityManager.getPeer(info.id);
-        if (!existing) {
-            const trustRecord = await identityManager.addPeer(info);
-            console.log('Added peer from INTRODUCE:', trustRecord);
+
+        // Signature already required: routes and room membership hang on who introduced them.
+        // Connections are associated with peers by their own signed HELLO only.
+        if (await learnIntroducedPeer(info, message.from, { connected: true, room: message.payload.room })) {
             addSystemMessage(`👥 Introduced to peer ${info.profile?.name || info.id}`);
-        } else {
-            console.log('Peer already known from INTRODUCE:', info.id);
         }
         updatePeerRoster(); // Update roster when peer introduced
     });
 
+    // Answer peer list requests from peers we can reach
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.LIST_PEERS, async (message) => {
+        if (!routeTo(message.from)) return;
+
+        const reply = LP2P.MessageFactory.createPeerList(peerId, message.from, buildPeerList(message.from), message.id);
+        try {
+            await encryption.seal(reply);
+            await messageSigner.sign(reply);
+            await sendRawMessage(reply, routeTo(message.from));
+        } catch (error) {
+            console.warn('Could not send peer list to', message.from, error);
+        }
+    });
+
+    // A peer answered our listPeers: remember the peers it introduced
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.PEER_LIST, async (message) => {
+        if (peerListRequests.get(message.replyTo) !== message.from) {
+            console.warn('Ignoring unrequested peerList from', message.from);
+            return;
+        }
+        peerListRequests.delete(message.replyTo);
+
+        let learned = 0;
+        for (const entry of message.payload.peers) {
+            if (entry.peerInfo.id === message.from) continue;
+            if (await learnIntroducedPeer(entry.peerInfo, message.from, entry)) learned++;
+        }
+        if (learned > 0) {
+            const name = identityManager.getPeer(message.from)?.profile?.name || message.from;
+            addSystemMessage(`👥 Learned about ${learned} peer${learned === 1 ? '' : 's'} from ${name}`);
+        }
+        updatePeerRoster();
+    });
+
+    // Room sender keys, always sealed pairwise
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.SENDER_KEY, (message) => {
+        senderKeys.handleSenderKey(message);
+    });
+
+    // The room host lost its connection to a member: forget their key and rekey
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.MEMBER_LEFT, (message) => {
+        const { room, peerId: memberId } = message.payload;
+        if (!message.encrypted || !isHostOfJoinedRoom(message.from, room)) {
+            console.warn('Ignoring memberLeft from', message.from);
+            return;
+        }
+        router.removeRoute(memberId, message.from);
+        senderKeys.removeMember(room, memberId);
+    });
+
         // Handle room announcements from peers (learn about channels)
         messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.ROOM_ANNOUNCE, async (message) => {
             try {
@@ -820,6 +2685,11 @@ function initMessageHandlers() {
         
         const reason = message.payload.reason || 'disconnected';
         addSystemMessage(`Peer ${reason}`);
+
+        // Rekey every room they were in so they cannot read what follows
+        for (const room of senderKeys.roomsOf(message.from)) {
+            senderKeys.removeMember(room, message.from);
+        }
         
         // Hide peer info panel if it was for this peer
         if (activePeerId === message.from) {
@@ -831,23 +2701,51 @@ function initMessageHandlers() {
         updatePeerRoster(); // Update roster when peer disconnects
     });
     
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.ACK, (message) => {
+        outbox.acknowledge(message.replyTo, message.from);
+    });
+    
     messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.PING, (message) => {
         console.log('Received ping from:', message.from);
         
         // Send pong response
         const pong = LP2P.MessageFactory.createPong(peerId, message.from, message.id);
-        sendRawMessage(pong);
+        const dc = routeTo(message.from);
+        if (dc) sendRawMessage(pong, dc);
+    });
+
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.PONG, (message) => {
+        heartbeat.handlePong(message.replyTo, message.from);
     });
     
     messageHandler.registerAction(LP2P.MESSAGE_TYPES.SYSTEM, LP2P.SYSTEM_ACTIONS.ERROR, (message) => {
         console.error('Received error from peer:', message.payload);
         addSystemMessage(`Error: ${message.payload.message}`);
+
+        // A member could not read our room message: they are missing our sender key
+        const details = message.payload.details;
+        if (message.payload.code === LP2P.ERROR_CODES.DECRYPTION_FAILED && details && details.room) {
+            senderKeys.sendKeyTo(details.room, message.from);
+        }
+
+        // A message the recipient found invalid will not be accepted on resend
+        if (message.payload.code === LP2P.ERROR_CODES.VALIDATION_FAILED && message.replyTo) {
+            outbox.reject(message.replyTo, message.from);
+        }
     });
     
-    // Handle control messages
+    // Handle control messages: typing, focus/away and read receipts
     messageHandler.registerAction(LP2P.MESSAGE_TYPES.CONTROL, LP2P.CONTROL_ACTIONS.TYPING, (message) => {
-        console.log('Peer typing:', message.payload.active);
-        // Could show typing indicator in UI
+        activity.handleTyping(message);
+    });
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.CONTROL, LP2P.CONTROL_ACTIONS.FOCUS, (message) => {
+        activity.handleActivity(message);
+    });
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.CONTROL, LP2P.CONTROL_ACTIONS.AWAY, (message) => {
+        activity.handleActivity(message);
+    });
+    messageHandler.registerAction(LP2P.MESSAGE_TYPES.CONTROL, LP2P.CONTROL_ACTIONS.READ, (message) => {
+        activity.handleRead(message);
     });
 }
 
@@ -861,19 +2759,41 @@ if (typeof window !== 'undefined') {
         // Constants
         PROTOCOL,
         MESSAGE_TYPES,
+        TEXT_ACTIONS,
         FILE_ACTIONS,
         SYSTEM_ACTIONS,
         CONTROL_ACTIONS,
         ERROR_CODES,
         LIMITS,
+        PEER_EXCHANGE,
+        RATE_LIMITS,
+        FEATURES,
+        COMPRESSION,
+        SUPPORTED_FEATURES,
+        SUPPORTED_VERSIONS,
+        SIGNED_FIELDS,
+        BINARY_FRAME,
         
         // Classes
+        ProtocolError,
+        HandlerError,
         Message,
+        BinaryFrame,
+        PayloadCompressor,
         MessageValidator,
+        SessionNegotiator,
+        MessageSigner,
+        ReplayGuard,
         MessageFactory,
         MessageHandler,
+        RateLimiter,
+        SchemaRegistry,
+
+        // Registries
+        dataSchemas,
 
         // Functions
+        validateSchema,
         initMessageHandlers
     };
 }
@@ -0,0 +1,111 @@
+/**
+ * Message Reactions
+ *
+ * Emoji reactions to chat messages. A reaction is a TEXT message with
+ * `action: "react"` and `replyTo` naming the message; `active` is false when
+ * the reaction is taken back. Each peer has at most one of each emoji on a
+ * message, and the newest change (by timestamp) wins, so resent or reordered
+ * copies do not flip a reaction back.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const REACTIONS = {
+    QUICK: ['👍', '❤️', '😂', '😮', '😢', '🎉'],   // Offered in the reaction picker
+    MAX_TRACKED: 1000                               // Messages whose reactions are kept
+};
+
+// ============================================================================
+// ReactionTracker Class
+// ============================================================================
+
+class ReactionTracker {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our peer ID
+     * @param {Function} options.send - async (messageId, emoji, active) => void
+     * @param {Function} [options.onChange] - (messageId, summary) => void
+     */
+    constructor(options = {}) {
+        this.peerId = options.peerId;
+        this.send = options.send;
+        this.onChange = options.onChange || (() => {});
+        this.reactions = new Map();     // messageId -> Map("peerId emoji" -> { peerId, emoji, active, at }), oldest first
+    }
+
+    /**
+     * Add our reaction to a message, or take it back if we already reacted
+     */
+    async toggle(messageId, emoji) {
+        const active = !this.hasReacted(messageId, this.peerId, emoji);
+        this.apply(messageId, this.peerId, emoji, active, Date.now());
+        await this.send(messageId, emoji, active);
+        return active;
+    }
+
+    /**
+     * Apply a peer's reaction. Returns false if a newer change is already known.
+     */
+    handle(message) {
+        const { emoji, active } = message.payload;
+        return this.apply(message.replyTo, message.from, emoji, active, message.timestamp);
+    }
+
+    apply(messageId, pid, emoji, active, at) {
+        let entries = this.reactions.get(messageId);
+        if (!entries) {
+            entries = new Map();
+            this.reactions.set(messageId, entries);
+            if (this.reactions.size > REACTIONS.MAX_TRACKED) {
+                this.reactions.delete(this.reactions.keys().next().value);
+            }
+        }
+
+        const key = `${pid} ${emoji}`;
+        const existing = entries.get(key);
+        if (existing && existing.at >= at) return false;
+
+        entries.set(key, { peerId: pid, emoji, active, at });
+        this.onChange(messageId, this.summary(messageId));
+        return true;
+    }
+
+    hasReacted(messageId, pid, emoji) {
+        const entries = this.reactions.get(messageId);
+        const entry = entries && entries.get(`${pid} ${emoji}`);
+        return !!(entry && entry.active);
+    }
+
+    /**
+     * A message's reactions grouped by emoji, in the order they were first used:
+     * [{ emoji, count, peers, mine }]
+     */
+    summary(messageId) {
+        const groups = new Map();
+        for (const entry of (this.reactions.get(messageId) || new Map()).values()) {
+            if (!entry.active) continue;
+            if (!groups.has(entry.emoji)) groups.set(entry.emoji, { emoji: entry.emoji, count: 0, peers: [], mine: false });
+            const group = groups.get(entry.emoji);
+            group.count++;
+            group.peers.push(entry.peerId);
+            if (entry.peerId === this.peerId) group.mine = true;
+        }
+        return [...groups.values()];
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PReactions = {
+        // Constants
+        REACTIONS,
+
+        // Classes
+        ReactionTracker
+    };
+}
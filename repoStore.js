@@ -0,0 +1,108 @@
+/**
+ * IndexedDB wrapper for shared repositories
+ * Stores: `objects` keyed by content `hash` (blobs, chunked files, trees) and
+ * `repos` keyed by repository `id` (name, root hash, sharing peers)
+ */
+(function(global){
+    const DB_NAME = 'lp2p-repos';
+    const DB_VERSION = 1;
+    const OBJECTS_STORE = 'objects';
+    const REPOS_STORE = 'repos';
+
+    function openDB(){
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (ev) => {
+                const db = ev.target.result;
+                if (!db.objectStoreNames.contains(OBJECTS_STORE)){
+                    db.createObjectStore(OBJECTS_STORE, { keyPath: 'hash' });
+                }
+                if (!db.objectStoreNames.contains(REPOS_STORE)){
+                    db.createObjectStore(REPOS_STORE, { keyPath: 'id' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function withStores(storeNames, mode, fn){
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let res;
+            try {
+                res = fn(...storeNames.map(name => tx.objectStore(name)));
+            } catch (err) {
+                reject(err);
+            }
+            tx.oncomplete = () => resolve(res);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function request(req){
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const RepoStore = {
+        async putObject(object) {
+            if (!object || !object.hash || !object.type) throw new Error('Invalid object');
+            return withStores([OBJECTS_STORE], 'readwrite', (store) => store.put(object));
+        },
+
+        async getObject(hash){
+            const db = await openDB();
+            const tx = db.transaction(OBJECTS_STORE, 'readonly');
+            return request(tx.objectStore(OBJECTS_STORE).get(hash));
+        },
+
+        async hasObject(hash){
+            const db = await openDB();
+            const tx = db.transaction(OBJECTS_STORE, 'readonly');
+            return (await request(tx.objectStore(OBJECTS_STORE).count(hash))) > 0;
+        },
+
+        async getAllObjectHashes(){
+            const db = await openDB();
+            const tx = db.transaction(OBJECTS_STORE, 'readonly');
+            return (await request(tx.objectStore(OBJECTS_STORE).getAllKeys())) || [];
+        },
+
+        async deleteObjects(hashes){
+            return withStores([OBJECTS_STORE], 'readwrite', (store) => {
+                for (const hash of hashes) store.delete(hash);
+            });
+        },
+
+        async putRepo(repo) {
+            if (!repo || !repo.id || !repo.root) throw new Error('Invalid repository');
+            return withStores([REPOS_STORE], 'readwrite', (store) => store.put(repo));
+        },
+
+        async getAllRepos(){
+            const db = await openDB();
+            const tx = db.transaction(REPOS_STORE, 'readonly');
+            return (await request(tx.objectStore(REPOS_STORE).getAll())) || [];
+        },
+
+        async deleteRepo(id){
+            return withStores([REPOS_STORE], 'readwrite', (store) => store.delete(id));
+        },
+
+        async clear(){
+            return withStores([OBJECTS_STORE, REPOS_STORE], 'readwrite', (objects, repos) => {
+                objects.clear();
+                repos.clear();
+            });
+        }
+    };
+
+    if (typeof global !== 'undefined') {
+        global.LP2PRepoStore = RepoStore;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
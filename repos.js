@@ -0,0 +1,537 @@
+/**
+ * Repository Sharing
+ *
+ * Folders shared between peers as content-addressed objects, like git:
+ * - blob:    up to 64KB of file content
+ * - chunked: a larger file, as the list of its blobs
+ * - tree:    a directory, as sorted { name, type, hash, size } entries
+ * Each object is keyed by the SHA-256 of its type and content, so identical
+ * files are stored and sent once, and a repository is just its root tree's
+ * hash.
+ *
+ * Sync runs over DATA messages (dataType "repo"): the sharing peer announces
+ * a repository's root hash, the receiver walks the trees it already has and
+ * asks for the objects it is missing, layer by layer, checking every object
+ * against its hash before storing it.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const REPOS = {
+    DATA_TYPE: 'repo',
+    SCHEMA: 'repo-v1',
+    BLOB_SIZE: 64 * 1024,               // Larger files are split into blobs of this size
+    MAX_FILE_SIZE: 16 * 1024 * 1024,    // Larger files are skipped on import
+    MAX_WANT: 64,                       // Hashes per request
+    MAX_BATCH_BYTES: 96 * 1024,         // Blob bytes per response message
+    IGNORED_DIRS: ['.git', 'node_modules']
+};
+
+const REPO_MESSAGE_KINDS = {
+    ANNOUNCE: 'announce',   // A repository's name and root hash
+    WANT: 'want',           // Object hashes the sender is missing
+    OBJECTS: 'objects'      // Requested objects
+};
+
+const OBJECT_TYPES = {
+    BLOB: 'blob',
+    CHUNKED: 'chunked',
+    TREE: 'tree'
+};
+
+const HASH_PATTERN = '^[0-9a-f]{64}$';
+
+const REPO_SCHEMA = {
+    type: 'object',
+    required: ['kind', 'repoId'],
+    properties: {
+        kind: { type: 'string', enum: Object.values(REPO_MESSAGE_KINDS) },
+        repoId: { type: 'string', minLength: 1, maxLength: 64 },
+        name: { type: 'string', minLength: 1, maxLength: 128 },
+        root: { type: 'string', pattern: HASH_PATTERN },
+        hashes: {
+            type: 'array',
+            maxItems: REPOS.MAX_WANT,
+            items: { type: 'string', pattern: HASH_PATTERN }
+        },
+        objects: {
+            type: 'array',
+            maxItems: REPOS.MAX_WANT,
+            items: {
+                type: 'object',
+                required: ['hash', 'type'],
+                properties: {
+                    hash: { type: 'string', pattern: HASH_PATTERN },
+                    type: { type: 'string', enum: Object.values(OBJECT_TYPES) },
+                    data: { type: 'string' },
+                    entries: { type: 'array' },
+                    parts: { type: 'array', items: { type: 'string', pattern: HASH_PATTERN } },
+                    size: { type: 'integer', minimum: 0 }
+                }
+            }
+        }
+    }
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Hash an object: SHA-256 over "<type>\0" followed by the blob's bytes, or
+ * the canonical JSON of a tree's entries / a chunked file's parts
+ */
+async function hashObject(object) {
+    let body;
+    if (object.type === OBJECT_TYPES.BLOB) {
+        body = new Uint8Array(object.data);
+    } else if (object.type === OBJECT_TYPES.TREE) {
+        body = new TextEncoder().encode(LP2P.MessageSigner.canonicalize(object.entries));
+    } else {
+        body = new TextEncoder().encode(LP2P.MessageSigner.canonicalize({ parts: object.parts, size: object.size }));
+    }
+
+    const prefix = new TextEncoder().encode(`${object.type}\0`);
+    const bytes = new Uint8Array(prefix.length + body.length);
+    bytes.set(prefix, 0);
+    bytes.set(body, prefix.length);
+
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes an object refers to
+ */
+function childHashes(object) {
+    if (object.type === OBJECT_TYPES.TREE) return object.entries.map(entry => entry.hash);
+    if (object.type === OBJECT_TYPES.CHUNKED) return object.parts;
+    return [];
+}
+
+/**
+ * Check the shape of a received object before hashing it
+ */
+function isWellFormedObject(object) {
+    const hashRe = new RegExp(HASH_PATTERN);
+    if (object.type === OBJECT_TYPES.BLOB) {
+        return typeof object.data === 'string';
+    }
+    if (object.type === OBJECT_TYPES.CHUNKED) {
+        return Array.isArray(object.parts) && object.parts.every(h => hashRe.test(h)) && Number.isInteger(object.size);
+    }
+    if (object.type === OBJECT_TYPES.TREE) {
+        const names = new Set();
+        return Array.isArray(object.entries) && object.entries.every(entry => {
+            if (!entry || typeof entry.name !== 'string' || !entry.name || entry.name === '.' || entry.name === '..'
+                || entry.name.includes('/') || names.has(entry.name)) {
+                return false;
+            }
+            names.add(entry.name);
+            return (entry.type === 'file' || entry.type === 'dir') && hashRe.test(entry.hash)
+                && (entry.size === undefined || Number.isInteger(entry.size));
+        });
+    }
+    return false;
+}
+
+// ============================================================================
+// RepoManager Class
+// ============================================================================
+
+class RepoManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our peer ID
+     * @param {Object} options.store - LP2PRepoStore holding objects and repositories
+     * @param {Function} options.send - async (peerId, content) => void; sends a repo DATA message
+     * @param {Function} options.isReachable - (peerId) => boolean
+     * @param {Function} [options.onUpdate] - (repo) => void
+     */
+    constructor(options = {}) {
+        this.peerId = options.peerId;
+        this.store = options.store;
+        this.send = options.send;
+        this.isReachable = options.isReachable;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.repos = new Map();         // repoId -> { id, name, root, owner, source, peers, complete, updatedAt }
+        this.wanted = new Map();        // object hash -> repoId it was requested for
+        this.reachable = new Map();     // root hash -> Set of every hash under it
+    }
+
+    async restore() {
+        for (const repo of await this.store.getAllRepos()) {
+            this.repos.set(repo.id, repo);
+        }
+        return this.list();
+    }
+
+    get(repoId) {
+        return this.repos.get(repoId) || null;
+    }
+
+    /**
+     * Repositories, most recently changed first
+     */
+    list() {
+        return [...this.repos.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // ========================================================================
+    // Import
+    // ========================================================================
+
+    /**
+     * Import files from a folder picker (paths from webkitRelativePath) or a
+     * multi-file input. Importing into an existing repository of ours
+     * replaces its contents and announces the new root.
+     * Returns { repo, skipped } with the paths that were left out.
+     */
+    async importFiles(files, options = {}) {
+        const root = { dirs: new Map(), files: new Map() };
+        const skipped = [];
+        let folderName = null;
+
+        for (const file of files) {
+            const parts = (file.webkitRelativePath || file.name).split('/').filter(Boolean);
+            // Folder pickers start every path with the chosen folder's name
+            if (file.webkitRelativePath && parts.length > 1) folderName = parts.shift();
+            const path = parts.join('/');
+
+            if (parts.slice(0, -1).some(part => REPOS.IGNORED_DIRS.includes(part))) continue;
+            if (file.size > REPOS.MAX_FILE_SIZE) {
+                skipped.push(path);
+                continue;
+            }
+
+            let dir = root;
+            for (const part of parts.slice(0, -1)) {
+                if (!dir.dirs.has(part)) dir.dirs.set(part, { dirs: new Map(), files: new Map() });
+                dir = dir.dirs.get(part);
+            }
+            dir.files.set(parts[parts.length - 1], file);
+        }
+
+        const rootHash = await this.writeDir(root);
+        let repo = options.repoId ? this.repos.get(options.repoId) : null;
+        if (repo && repo.owner !== this.peerId) throw new Error('Only our own repositories can be updated');
+        if (!repo) {
+            repo = {
+                id: crypto.randomUUID(),
+                name: options.name || folderName || 'Files',
+                owner: this.peerId,
+                source: null,
+                peers: [],
+                complete: true
+            };
+        }
+        repo.root = rootHash;
+        repo.updatedAt = Date.now();
+        this.repos.set(repo.id, repo);
+        await this.store.putRepo(repo);
+        this.onUpdate(repo);
+
+        for (const pid of repo.peers) this.announce(repo, pid);
+        return { repo, skipped };
+    }
+
+    async writeDir(dir) {
+        const entries = [];
+        for (const [name, sub] of dir.dirs) {
+            entries.push({ name, type: 'dir', hash: await this.writeDir(sub) });
+        }
+        for (const [name, file] of dir.files) {
+            entries.push({ name, type: 'file', hash: await this.writeFile(file), size: file.size });
+        }
+        entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        return this.putObject({ type: OBJECT_TYPES.TREE, entries });
+    }
+
+    async writeFile(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (bytes.length <= REPOS.BLOB_SIZE) {
+            return this.putObject({ type: OBJECT_TYPES.BLOB, data: bytes.buffer });
+        }
+
+        const parts = [];
+        for (let offset = 0; offset < bytes.length; offset += REPOS.BLOB_SIZE) {
+            parts.push(await this.putObject({ type: OBJECT_TYPES.BLOB, data: bytes.slice(offset, offset + REPOS.BLOB_SIZE).buffer }));
+        }
+        return this.putObject({ type: OBJECT_TYPES.CHUNKED, parts, size: bytes.length });
+    }
+
+    async putObject(object) {
+        const hash = await hashObject(object);
+        if (!(await this.store.hasObject(hash))) {
+            await this.store.putObject({ hash, ...object });
+        }
+        return hash;
+    }
+
+    // ========================================================================
+    // Browsing
+    // ========================================================================
+
+    /**
+     * Entries of a directory, or null if we do not have it (yet)
+     */
+    async readTree(hash) {
+        const object = await this.store.getObject(hash);
+        return object && object.type === OBJECT_TYPES.TREE ? object.entries : null;
+    }
+
+    /**
+     * A file's bytes, or null if any part is missing
+     */
+    async readFile(hash) {
+        const object = await this.store.getObject(hash);
+        if (!object) return null;
+        if (object.type === OBJECT_TYPES.BLOB) return new Uint8Array(object.data);
+        if (object.type !== OBJECT_TYPES.CHUNKED) return null;
+
+        const bytes = new Uint8Array(object.size);
+        let offset = 0;
+        for (const part of object.parts) {
+            const blob = await this.store.getObject(part);
+            if (!blob || blob.type !== OBJECT_TYPES.BLOB) return null;
+            bytes.set(new Uint8Array(blob.data), offset);
+            offset += blob.data.byteLength;
+        }
+        return bytes;
+    }
+
+    // ========================================================================
+    // Sharing
+    // ========================================================================
+
+    share(repoId, pid) {
+        const repo = this.repos.get(repoId);
+        if (!repo || pid === this.peerId) return;
+
+        if (!repo.peers.includes(pid)) {
+            repo.peers.push(pid);
+            this.store.putRepo(repo).catch(error => console.warn('Failed to save repository:', error));
+            this.onUpdate(repo);
+        }
+        this.announce(repo, pid);
+    }
+
+    announce(repo, pid) {
+        if (!repo.complete) return;
+        this.sendContent(pid, { kind: REPO_MESSAGE_KINDS.ANNOUNCE, repoId: repo.id, name: repo.name, root: repo.root });
+    }
+
+    /**
+     * Forget a repository and delete objects no other repository uses
+     */
+    async remove(repoId) {
+        this.repos.delete(repoId);
+        await this.store.deleteRepo(repoId);
+
+        const keep = new Set();
+        for (const repo of this.repos.values()) {
+            for (const hash of await this.collect(repo.root)) keep.add(hash);
+        }
+        const unused = (await this.store.getAllObjectHashes()).filter(hash => !keep.has(hash));
+        await this.store.deleteObjects(unused);
+        this.reachable.clear();
+    }
+
+    /**
+     * A peer said HELLO: re-announce what we share with them, and resume
+     * fetching what they share with us
+     */
+    peerConnected(pid) {
+        for (const repo of this.repos.values()) {
+            if (!repo.peers.includes(pid)) continue;
+            if (!repo.complete && repo.source === pid) {
+                this.fetchMissing(repo);
+            } else {
+                this.announce(repo, pid);
+            }
+        }
+    }
+
+    handleMessage(message) {
+        const content = message.payload.content;
+        switch (content.kind) {
+            case REPO_MESSAGE_KINDS.ANNOUNCE:
+                return this.handleAnnounce(message.from, content);
+            case REPO_MESSAGE_KINDS.WANT:
+                return this.handleWant(message.from, content);
+            case REPO_MESSAGE_KINDS.OBJECTS:
+                return this.handleObjects(message.from, content);
+        }
+    }
+
+    async handleAnnounce(from, content) {
+        if (!content.root || !content.name) return;
+
+        let repo = this.repos.get(content.repoId);
+        // Only the peer we got a repository from may move its root
+        if (repo && (repo.owner === this.peerId || repo.source !== from)) return;
+        if (repo && repo.root === content.root && repo.complete) return;
+
+        if (!repo) {
+            repo = { id: content.repoId, owner: from, source: from, peers: [from] };
+        }
+        repo.name = content.name;
+        repo.root = content.root;
+        repo.complete = false;
+        repo.updatedAt = Date.now();
+        this.repos.set(repo.id, repo);
+        await this.store.putRepo(repo);
+        this.onUpdate(repo);
+
+        await this.fetchMissing(repo);
+    }
+
+    /**
+     * Ask the repository's source for the objects we do not have under
+     * trees we do have. Called again as each layer arrives.
+     */
+    async fetchMissing(repo) {
+        const missing = [];
+        await this.collect(repo.root, missing);
+
+        if (missing.length === 0) {
+            repo.complete = true;
+            await this.store.putRepo(repo);
+            this.onUpdate(repo);
+            for (const pid of repo.peers) {
+                if (pid !== repo.source) this.announce(repo, pid);
+            }
+            return;
+        }
+
+        for (const hash of missing) this.wanted.set(hash, repo.id);
+        for (let i = 0; i < missing.length; i += REPOS.MAX_WANT) {
+            this.sendContent(repo.source, {
+                kind: REPO_MESSAGE_KINDS.WANT,
+                repoId: repo.id,
+                hashes: missing.slice(i, i + REPOS.MAX_WANT)
+            });
+        }
+        this.onUpdate(repo);
+    }
+
+    /**
+     * Every hash under a root that we have, plus (if `missing` is given)
+     * the ones we lack
+     */
+    async collect(root, missing = null) {
+        const found = new Set();
+        const stack = [root];
+        while (stack.length > 0) {
+            const hash = stack.pop();
+            if (found.has(hash)) continue;
+            const object = await this.store.getObject(hash);
+            if (!object) {
+                if (missing && !missing.includes(hash)) missing.push(hash);
+                continue;
+            }
+            found.add(hash);
+            stack.push(...childHashes(object));
+        }
+        return found;
+    }
+
+    async handleWant(from, content) {
+        const repo = this.repos.get(content.repoId);
+        if (!repo || !repo.peers.includes(from) || !Array.isArray(content.hashes)) return;
+
+        // Only objects that belong to the shared repository are served
+        if (!this.reachable.has(repo.root)) {
+            this.reachable.set(repo.root, await this.collect(repo.root));
+        }
+        const allowed = this.reachable.get(repo.root);
+
+        let batch = [];
+        let bytes = 0;
+        const flush = () => {
+            if (batch.length === 0) return;
+            this.sendContent(from, { kind: REPO_MESSAGE_KINDS.OBJECTS, repoId: repo.id, objects: batch });
+            batch = [];
+            bytes = 0;
+        };
+
+        for (const hash of content.hashes) {
+            if (!allowed.has(hash)) continue;
+            const object = await this.store.getObject(hash);
+            if (!object) continue;
+
+            const size = object.type === OBJECT_TYPES.BLOB ? object.data.byteLength : 0;
+            if (bytes + size > REPOS.MAX_BATCH_BYTES) flush();
+            batch.push(this.encodeObject(object));
+            bytes += size;
+        }
+        flush();
+    }
+
+    encodeObject(object) {
+        if (object.type === OBJECT_TYPES.BLOB) {
+            return { hash: object.hash, type: object.type, data: LP2PIdentity.arrayBufferToBase64(object.data) };
+        }
+        if (object.type === OBJECT_TYPES.TREE) {
+            return { hash: object.hash, type: object.type, entries: object.entries };
+        }
+        return { hash: object.hash, type: object.type, parts: object.parts, size: object.size };
+    }
+
+    async handleObjects(from, content) {
+        const touched = new Set();
+        for (const incoming of content.objects || []) {
+            const repoId = this.wanted.get(incoming.hash);
+            const repo = repoId && this.repos.get(repoId);
+            if (!repo || repo.source !== from || !isWellFormedObject(incoming)) continue;
+
+            const object = incoming.type === OBJECT_TYPES.BLOB
+                ? { type: incoming.type, data: LP2PIdentity.base64ToArrayBuffer(incoming.data) }
+                : incoming.type === OBJECT_TYPES.TREE
+                    ? { type: incoming.type, entries: incoming.entries.map(({ name, type, hash, size }) => ({ name, type, hash, size })) }
+                    : { type: incoming.type, parts: incoming.parts, size: incoming.size };
+            if (await hashObject(object) !== incoming.hash) {
+                console.warn(`Object ${incoming.hash} from ${from} does not match its hash`);
+                continue;
+            }
+
+            await this.store.putObject({ hash: incoming.hash, ...object });
+            this.wanted.delete(incoming.hash);
+            touched.add(repo);
+        }
+
+        // Next layer once everything asked for in this one has arrived
+        for (const repo of touched) {
+            const outstanding = [...this.wanted.values()].some(id => id === repo.id);
+            if (!outstanding) await this.fetchMissing(repo);
+        }
+    }
+
+    sendContent(pid, content) {
+        if (!this.isReachable(pid)) return;
+        Promise.resolve(this.send(pid, content))
+            .catch(error => console.warn(`Could not send repository update to ${pid}:`, error));
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PRepos = {
+        // Constants
+        REPOS,
+        REPO_MESSAGE_KINDS,
+        OBJECT_TYPES,
+        REPO_SCHEMA,
+
+        // Classes
+        RepoManager,
+
+        // Utilities
+        hashObject
+    };
+}
@@ -0,0 +1,188 @@
+/**
+ * Mesh Routing
+ *
+ * Routing table for messages addressed to peers we are not connected to.
+ * Routes are learned from HELLO (direct links), INTRODUCE (the introducer
+ * is connected to the introduced peer) and from traffic (a verified message
+ * from S that arrived through N means S is reachable through N). Forwarding peers
+ * decrement the message's `route.ttl` and append themselves to
+ * `route.hops`; copies that loop back or arrive twice are dropped.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const ROUTING = {
+    ROUTE_EXPIRY: 10 * 60 * 1000,   // Learned (indirect) routes are forgotten after 10 minutes
+    DUPLICATE_WINDOW: 2000,         // Copies of a forwarded message within 2s are dropped
+    MAX_FORWARDED: 5000             // Forwarded message keys remembered for duplicate detection
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * A message's route, or a fresh one for messages that have not been forwarded
+ */
+function readRoute(message) {
+    return message.route || { ttl: LP2P.LIMITS.DEFAULT_TTL, hops: [] };
+}
+
+// ============================================================================
+// MeshRouter Class
+// ============================================================================
+
+class MeshRouter {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our peer ID
+     * @param {Function} options.isLinkOpen - (peerId) => boolean; we have an open channel to the peer
+     * @param {Function} options.canForward - (peerId) => boolean; the peer forwards for others
+     */
+    constructor(options = {}) {
+        this.peerId = options.peerId;
+        this.isLinkOpen = options.isLinkOpen;
+        this.canForward = options.canForward;
+        this.routes = new Map();        // destination -> Map(nextHop -> { distance, updatedAt })
+        this.forwarded = new Map();     // "from\nid\nto" -> time forwarded, oldest first
+    }
+
+    /**
+     * Record that `destination` is `distance` hops beyond `nextHop`
+     * (0 for a direct link)
+     */
+    addRoute(destination, nextHop, distance = 1, now = Date.now()) {
+        if (destination === this.peerId || nextHop === this.peerId) return;
+
+        let options = this.routes.get(destination);
+        if (!options) {
+            options = new Map();
+            this.routes.set(destination, options);
+        }
+        const existing = options.get(nextHop);
+        if (!existing || distance <= existing.distance || now - existing.updatedAt > ROUTING.ROUTE_EXPIRY) {
+            options.set(nextHop, { distance, updatedAt: now });
+        } else {
+            existing.updatedAt = now;
+        }
+    }
+
+    removeRoute(destination, nextHop) {
+        const options = this.routes.get(destination);
+        if (!options) return;
+        options.delete(nextHop);
+        if (options.size === 0) this.routes.delete(destination);
+    }
+
+    /**
+     * A link went down: drop every route through it.
+     * Returns the destinations that are no longer reachable at all.
+     */
+    removeLink(nextHop) {
+        const lost = [];
+        for (const [destination, options] of this.routes) {
+            options.delete(nextHop);
+            if (options.size === 0) {
+                this.routes.delete(destination);
+                lost.push(destination);
+            }
+        }
+        return lost;
+    }
+
+    /**
+     * Learn the way back to a message's sender from the link it arrived on
+     */
+    learn(message, arrivedFrom, now = Date.now()) {
+        if (!arrivedFrom || message.from === arrivedFrom) return;
+        this.addRoute(message.from, arrivedFrom, readRoute(message).hops.length + 1, now);
+    }
+
+    /**
+     * Best next hop towards a destination: the shortest route through an
+     * open link, skipping `exclude` (where the message came from, or has been)
+     */
+    nextHop(destination, exclude = [], now = Date.now()) {
+        const options = this.routes.get(destination);
+        if (!options) return null;
+
+        let best = null;
+        for (const [hop, route] of options) {
+            if (route.distance > 0 && now - route.updatedAt > ROUTING.ROUTE_EXPIRY) {
+                options.delete(hop);
+                continue;
+            }
+            if (exclude.includes(hop) || !this.isLinkOpen(hop)) continue;
+            if (hop !== destination && !this.canForward(hop)) continue;
+            if (!best || route.distance < best.distance
+                || (route.distance === best.distance && route.updatedAt > best.updatedAt)) {
+                best = { hop, ...route };
+            }
+        }
+        return best ? best.hop : null;
+    }
+
+    /**
+     * Peers we currently have a route to
+     */
+    destinations() {
+        return [...this.routes.keys()].filter(destination => this.nextHop(destination) !== null);
+    }
+
+    /**
+     * Decide where a message for another peer goes next. Returns
+     * { nextHop, route } with the route to put on the forwarded copy,
+     * { drop: reason } for loops, expired TTLs and duplicates, or null if
+     * we have no route.
+     */
+    planForward(message, arrivedFrom, now = Date.now()) {
+        const route = readRoute(message);
+        if (route.hops.includes(this.peerId)) return { drop: 'loop' };
+        if (route.ttl <= 0) return { drop: 'ttl expired' };
+
+        const nextHop = this.nextHop(message.to, [arrivedFrom, message.from, ...route.hops], now);
+        if (!nextHop) return null;
+
+        if (this.isDuplicate(message, now)) return { drop: 'duplicate' };
+        return {
+            nextHop,
+            route: { ttl: route.ttl - 1, hops: [...route.hops, this.peerId] }
+        };
+    }
+
+    /**
+     * Check (and record) whether a copy of this message was forwarded recently.
+     * Copies of one message to different recipients share an id, so the
+     * recipient is part of the key.
+     */
+    isDuplicate(message, now = Date.now()) {
+        for (const [key, time] of this.forwarded) {
+            if (now - time < ROUTING.DUPLICATE_WINDOW && this.forwarded.size <= ROUTING.MAX_FORWARDED) break;
+            this.forwarded.delete(key);
+        }
+
+        const key = `${message.from}\n${message.id}\n${message.to}`;
+        if (this.forwarded.has(key)) return true;
+        this.forwarded.set(key, now);
+        return false;
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PRouter = {
+        // Constants
+        ROUTING,
+
+        // Classes
+        MeshRouter,
+
+        // Utilities
+        readRoute
+    };
+}
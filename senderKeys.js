@@ -0,0 +1,370 @@
+/**
+ * Room Sender Keys
+ *
+ * Group encryption for rooms. Each member keeps a symmetric chain key per
+ * room and hands it to every other member in a pairwise-sealed SENDER_KEY
+ * message; room broadcasts are then encrypted once and readable by every
+ * member. Every message advances the sender's chain (HMAC-SHA256 ratchet),
+ * and when a member leaves everyone replaces their chain, so the departed
+ * member cannot read anything sent afterwards.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const SENDER_KEYS = {
+    CHAIN_KEY_BYTES: 32,
+    IV_LENGTH: 12,
+    MAX_SKIP: 512,          // How far a receiver will ratchet ahead for out-of-order messages
+    KEEP_CHAINS: 2,         // Chains kept per sender, so messages in flight during a rekey still open
+    MAX_PENDING: 64         // Keys held from peers not (yet) known as members
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+async function hmacByte(keyBytes, byte) {
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, new Uint8Array([byte])));
+}
+
+/**
+ * Advance a chain one step: the message key for the current iteration and
+ * the chain key for the next one
+ */
+async function ratchetChain(chainKey) {
+    const [messageKey, nextChainKey] = await Promise.all([
+        hmacByte(chainKey, 0x01),
+        hmacByte(chainKey, 0x02)
+    ]);
+    return { messageKey, nextChainKey };
+}
+
+function importMessageKey(bytes) {
+    return crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Run async steps on the same holder one at a time (chain state must not
+ * be advanced by two messages at once)
+ */
+function withLock(holder, fn) {
+    const run = (holder.lock || Promise.resolve()).then(fn);
+    holder.lock = run.catch(() => {});
+    return run;
+}
+
+function createChain() {
+    return {
+        keyId: crypto.getRandomValues(new Uint32Array(1))[0],
+        chainKey: crypto.getRandomValues(new Uint8Array(SENDER_KEYS.CHAIN_KEY_BYTES)),
+        iteration: 0
+    };
+}
+
+// ============================================================================
+// SenderKeyManager Class
+// ============================================================================
+
+class SenderKeyManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.peerId - Our peer ID
+     * @param {Function} options.send - async (message) => void; must seal the
+     *   message pairwise for its recipient or throw
+     * @param {Function} [options.onMembersChanged] - (roomCode, memberIds) => void
+     */
+    constructor(options = {}) {
+        this.peerId = options.peerId;
+        this.send = options.send;
+        this.onMembersChanged = options.onMembersChanged || (() => {});
+        this.rooms = new Map();     // roomCode -> { members, own, peers, pending }
+    }
+
+    // ========================================================================
+    // Membership
+    // ========================================================================
+
+    /**
+     * Start keeping a sender key for a room
+     */
+    joinRoom(code) {
+        if (!this.rooms.has(code)) {
+            this.rooms.set(code, {
+                members: new Set(),
+                own: createChain(),
+                peers: new Map(),       // peerId -> Map(keyId -> receiving chain)
+                pending: new Map()      // peerId -> SENDER_KEY payloads received before they joined
+            });
+        }
+        return this.rooms.get(code);
+    }
+
+    leaveRoom(code) {
+        this.rooms.delete(code);
+    }
+
+    isMember(code, pid) {
+        const room = this.rooms.get(code);
+        return !!(room && room.members.has(pid));
+    }
+
+    getMembers(code) {
+        const room = this.rooms.get(code);
+        return room ? [...room.members] : [];
+    }
+
+    /**
+     * Rooms a peer is a member of
+     */
+    roomsOf(pid) {
+        return [...this.rooms.keys()].filter(code => this.isMember(code, pid));
+    }
+
+    /**
+     * Add a member and give them our current sender key
+     */
+    async addMember(code, pid) {
+        if (pid === this.peerId) return;
+        const room = this.joinRoom(code);
+
+        if (!room.members.has(pid)) {
+            room.members.add(pid);
+            this.onMembersChanged(code, [...room.members]);
+
+            // Keys that arrived before we knew they were in the room
+            for (const payload of room.pending.get(pid) || []) {
+                this.storeChain(room, pid, payload);
+            }
+            room.pending.delete(pid);
+        }
+
+        await this.sendKeyTo(code, pid);
+    }
+
+    /**
+     * Remove a member, forget their keys and replace our own chain
+     */
+    async removeMember(code, pid) {
+        const room = this.rooms.get(code);
+        if (!room || !room.members.delete(pid)) return;
+
+        room.peers.delete(pid);
+        room.pending.delete(pid);
+        this.onMembersChanged(code, [...room.members]);
+        await this.rotate(code);
+    }
+
+    /**
+     * Start a new chain and give it to every remaining member
+     */
+    async rotate(code) {
+        const room = this.rooms.get(code);
+        if (!room) return;
+
+        room.own = createChain();
+        console.log(`Rekeyed room ${code} (key ${room.own.keyId})`);
+        await Promise.all([...room.members].map(pid => this.sendKeyTo(code, pid)));
+    }
+
+    /**
+     * Send our current chain for a room to one member
+     */
+    async sendKeyTo(code, pid) {
+        const room = this.rooms.get(code);
+        if (!room || !room.members.has(pid)) return;
+
+        const own = room.own;
+        const message = LP2P.MessageFactory.createSenderKey(
+            this.peerId,
+            pid,
+            code,
+            own.keyId,
+            LP2PIdentity.arrayBufferToBase64(own.chainKey),
+            own.iteration
+        );
+        try {
+            await this.send(message);
+        } catch (error) {
+            console.warn(`Could not send sender key for ${code} to ${pid}:`, error);
+        }
+    }
+
+    /**
+     * Store a member's chain from a SENDER_KEY message. Only pairwise-sealed
+     * keys are accepted.
+     */
+    handleSenderKey(message) {
+        if (!message.encrypted) {
+            console.warn('Ignoring unsealed sender key from', message.from);
+            return;
+        }
+
+        const payload = message.payload;
+        const room = this.rooms.get(payload.room);
+        if (!room) return;
+
+        if (room.members.has(message.from)) {
+            this.storeChain(room, message.from, payload);
+            return;
+        }
+
+        // Introductions and keys can cross on the wire; hold the key until they join
+        const pending = room.pending.get(message.from) || [];
+        pending.push(payload);
+        room.pending.set(message.from, pending.slice(-SENDER_KEYS.KEEP_CHAINS));
+        while (room.pending.size > SENDER_KEYS.MAX_PENDING) {
+            room.pending.delete(room.pending.keys().next().value);
+        }
+    }
+
+    storeChain(room, pid, payload) {
+        const chains = room.peers.get(pid) || new Map();
+        chains.delete(payload.keyId);
+        chains.set(payload.keyId, {
+            chainKey: new Uint8Array(LP2PIdentity.base64ToArrayBuffer(payload.chainKey)),
+            iteration: payload.iteration,
+            skipped: new Map()      // iteration -> message key, for out-of-order messages
+        });
+        while (chains.size > SENDER_KEYS.KEEP_CHAINS) {
+            chains.delete(chains.keys().next().value);
+        }
+        room.peers.set(pid, chains);
+    }
+
+    // ========================================================================
+    // Encryption
+    // ========================================================================
+
+    /**
+     * Encrypt a room broadcast in place with our sender key:
+     * payload becomes { sealed: { room, keyId, iteration, iv, data } }
+     */
+    async seal(code, message) {
+        const room = this.rooms.get(code);
+        if (!room) throw new Error(`Not in room ${code}`);
+
+        const { keyId, iteration, messageKey } = await withLock(room, async () => {
+            const own = room.own;
+            const step = await ratchetChain(own.chainKey);
+            const current = { keyId: own.keyId, iteration: own.iteration, messageKey: step.messageKey };
+            own.chainKey = step.nextChainKey;
+            own.iteration++;
+            return current;
+        });
+
+        const iv = crypto.getRandomValues(new Uint8Array(SENDER_KEYS.IV_LENGTH));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: LP2PEncryption.associatedData(message) },
+            await importMessageKey(messageKey),
+            new TextEncoder().encode(JSON.stringify(message.payload))
+        );
+
+        message.payload = {
+            sealed: {
+                room: code,
+                keyId,
+                iteration,
+                iv: LP2PIdentity.arrayBufferToBase64(iv),
+                data: LP2PIdentity.arrayBufferToBase64(ciphertext)
+            }
+        };
+        return message;
+    }
+
+    /**
+     * Decrypt a room broadcast in place and mark it `encrypted` with its `room`
+     * @throws {ProtocolError} DECRYPTION_FAILED
+     */
+    async open(message) {
+        const sealed = message.payload.sealed;
+        const room = this.rooms.get(sealed.room);
+        const chains = room && room.peers.get(message.from);
+        const chain = chains && chains.get(sealed.keyId);
+        if (!chain) {
+            throw new LP2P.ProtocolError(
+                LP2P.ERROR_CODES.DECRYPTION_FAILED,
+                `No sender key from ${message.from} for room ${sealed.room}`,
+                { room: sealed.room }
+            );
+        }
+
+        try {
+            const messageKey = await withLock(chain, () => this.messageKeyFor(chain, sealed.iteration));
+            const plaintext = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: LP2PIdentity.base64ToArrayBuffer(sealed.iv),
+                    additionalData: LP2PEncryption.associatedData(message)
+                },
+                await importMessageKey(messageKey),
+                LP2PIdentity.base64ToArrayBuffer(sealed.data)
+            );
+            const opened = JSON.parse(new TextDecoder().decode(plaintext));
+            if (!opened || typeof opened !== 'object' || Array.isArray(opened)) {
+                throw new Error('Sealed payload is not an object');
+            }
+            message.payload = opened;
+        } catch (error) {
+            throw new LP2P.ProtocolError(
+                LP2P.ERROR_CODES.DECRYPTION_FAILED,
+                `Could not decrypt room message from ${message.from}: ${error.message}`,
+                { room: sealed.room }
+            );
+        }
+
+        message.encrypted = true;
+        message.room = sealed.room;
+        return true;
+    }
+
+    /**
+     * Get the message key for an iteration, ratcheting forward and keeping
+     * skipped keys for messages that arrive out of order
+     */
+    async messageKeyFor(chain, iteration) {
+        if (iteration < chain.iteration) {
+            const skipped = chain.skipped.get(iteration);
+            if (!skipped) throw new Error('message key already used');
+            chain.skipped.delete(iteration);
+            return skipped;
+        }
+        if (iteration - chain.iteration > SENDER_KEYS.MAX_SKIP) {
+            throw new Error('message too far ahead of chain');
+        }
+
+        while (chain.iteration < iteration) {
+            const step = await ratchetChain(chain.chainKey);
+            chain.skipped.set(chain.iteration, step.messageKey);
+            chain.chainKey = step.nextChainKey;
+            chain.iteration++;
+        }
+        while (chain.skipped.size > SENDER_KEYS.MAX_SKIP) {
+            chain.skipped.delete(chain.skipped.keys().next().value);
+        }
+
+        const step = await ratchetChain(chain.chainKey);
+        chain.chainKey = step.nextChainKey;
+        chain.iteration++;
+        return step.messageKey;
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PSenderKeys = {
+        // Constants
+        SENDER_KEYS,
+
+        // Classes
+        SenderKeyManager,
+
+        // Utilities
+        ratchetChain
+    };
+}
@@ -0,0 +1,569 @@
+/**
+ * Shared Maps
+ *
+ * Replicated key-value state for apps, scoped to a room:
+ *
+ *     const board = new LP2P.SharedMap('ABC123', 'board');
+ *     board.set('title', 'Sprint 12');          // last-writer-wins register
+ *     board.add('tags', 'urgent');              // observed-remove set
+ *     board.subscribe((key, value, change) => render(key, value));
+ *
+ * Every write is stamped with a hybrid logical clock (wall time plus a
+ * counter, tie-broken by peer ID), so concurrent writes resolve the same way
+ * on every peer. Registers keep the write with the highest timestamp. Set
+ * elements are added under unique tags and removed by tombstoning the tags
+ * the remover had seen, so an add concurrent with a remove survives.
+ *
+ * Changes travel as DATA messages (dataType "shared-map") to the room's
+ * members. After HELLO, peers exchange a digest of each map and send back
+ * the entries that differ (anti-entropy). Maps are persisted in IndexedDB.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const SHARED_MAP = {
+    DATA_TYPE: 'shared-map',
+    SCHEMA: 'shared-map-v1',
+    SEND_DELAY: 100,                // Writes are collected for this long before sending
+    SAVE_DELAY: 500,                // ...and for this long before saving
+    MAX_ENTRIES: 200,               // Entries per DATA message
+    MAX_DRIFT: 5 * 60 * 1000        // Remote timestamps further ahead than this are rejected
+};
+
+const SHARED_MAP_KINDS = {
+    DELTA: 'delta',     // Changed entries
+    SYNC: 'sync'        // Digest of the sender's map; answered with entries that differ
+};
+
+const TIMESTAMP_SCHEMA = {
+    type: 'array',
+    minItems: 3,
+    maxItems: 3
+};
+
+const SHARED_MAP_SCHEMA = {
+    type: 'object',
+    required: ['kind', 'room', 'name'],
+    properties: {
+        kind: { type: 'string', enum: Object.values(SHARED_MAP_KINDS) },
+        room: { type: 'string', minLength: 1, maxLength: 64 },
+        name: { type: 'string', minLength: 1, maxLength: 128 },
+        registers: {
+            type: 'array',
+            maxItems: SHARED_MAP.MAX_ENTRIES,
+            items: {
+                type: 'object',
+                required: ['key', 'ts'],
+                properties: {
+                    key: { type: 'string', maxLength: 256 },
+                    ts: TIMESTAMP_SCHEMA,
+                    deleted: { type: 'boolean' }
+                }
+            }
+        },
+        sets: {
+            type: 'array',
+            maxItems: SHARED_MAP.MAX_ENTRIES,
+            items: {
+                type: 'object',
+                required: ['key', 'adds', 'removed'],
+                properties: {
+                    key: { type: 'string', maxLength: 256 },
+                    adds: { type: 'array', items: { type: 'array', minItems: 2, maxItems: 2 } },
+                    removed: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        },
+        digest: {
+            type: 'object',
+            properties: {
+                registers: { type: 'object' },
+                sets: { type: 'object' }
+            }
+        }
+    }
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Order hybrid timestamps [wall, counter, peerId]
+ */
+function compareTimestamps(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    if (a[1] !== b[1]) return a[1] - b[1];
+    return a[2] < b[2] ? -1 : a[2] > b[2] ? 1 : 0;
+}
+
+function timestampKey(ts) {
+    return `${ts[0]}:${ts[1]}:${ts[2]}`;
+}
+
+function isTimestamp(ts) {
+    return Array.isArray(ts) && ts.length === 3
+        && Number.isInteger(ts[0]) && Number.isInteger(ts[1]) && ts[1] >= 0 && typeof ts[2] === 'string';
+}
+
+/**
+ * Identity of a set element: its canonical JSON
+ */
+function elementKey(value) {
+    return LP2P.MessageSigner.canonicalize(value);
+}
+
+/**
+ * FNV-1a hash of a string, as 8 hex digits
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// ============================================================================
+// HybridClock Class
+// ============================================================================
+
+class HybridClock {
+    constructor(node) {
+        this.node = node;
+        this.wall = 0;
+        this.counter = 0;
+    }
+
+    /**
+     * Timestamp for a local write
+     */
+    now() {
+        const wall = Date.now();
+        if (wall > this.wall) {
+            this.wall = wall;
+            this.counter = 0;
+        } else {
+            this.counter++;
+        }
+        return [this.wall, this.counter, this.node];
+    }
+
+    /**
+     * Move past a timestamp seen from another peer
+     */
+    receive(ts) {
+        if (ts[0] > this.wall) {
+            this.wall = ts[0];
+            this.counter = ts[1];
+        } else if (ts[0] === this.wall && ts[1] > this.counter) {
+            this.counter = ts[1];
+        }
+    }
+}
+
+// ============================================================================
+// Replication Hub
+// ============================================================================
+
+/**
+ * Shared by every map: the transport set up by configureSharedMaps() and the
+ * open maps by room and name
+ */
+const sharedMapHub = {
+    options: null,
+    maps: new Map()     // "room\nname" -> SharedMap
+};
+
+/**
+ * Connect shared maps to the app
+ * @param {Object} options
+ * @param {string} options.peerId - Our peer ID
+ * @param {Function} options.broadcast - (roomCode, content) => void; sends to the room's members
+ * @param {Function} options.sendTo - (peerId, content) => void; sends to one peer
+ * @param {Function} options.isMember - (roomCode, peerId) => boolean
+ * @param {Object} [options.store] - LP2PSharedMapStore used to keep maps across reloads
+ */
+function configureSharedMaps(options) {
+    sharedMapHub.options = options;
+    for (const map of sharedMapHub.maps.values()) {
+        map.clock.node = options.peerId;
+        map.ready = map.load();
+    }
+}
+
+/**
+ * Handle a shared-map DATA message
+ */
+function handleSharedMapMessage(message) {
+    const content = message.payload.content;
+    const options = sharedMapHub.options;
+    if (!options || !options.isMember(content.room, message.from)) {
+        console.warn(`Ignoring shared map update for ${content.room} from non-member ${message.from}`);
+        return;
+    }
+    // Room broadcasts are only valid for the room whose key sealed them
+    if (message.room !== undefined && message.room !== content.room) return;
+
+    const map = new SharedMap(content.room, content.name);
+    if (content.kind === SHARED_MAP_KINDS.DELTA) {
+        map.merge(content);
+    } else if (content.kind === SHARED_MAP_KINDS.SYNC) {
+        map.answerSync(message.from, content.digest || {});
+    }
+}
+
+/**
+ * A peer said HELLO: exchange digests of the maps of rooms it is in
+ */
+function sharedMapsPeerConnected(pid) {
+    const options = sharedMapHub.options;
+    if (!options) return;
+    for (const map of sharedMapHub.maps.values()) {
+        if (options.isMember(map.room, pid)) map.requestSync(pid);
+    }
+}
+
+// ============================================================================
+// SharedMap Class
+// ============================================================================
+
+class SharedMap {
+    /**
+     * Open (or return the already open) map `name` in room `roomCode`
+     */
+    constructor(roomCode, name) {
+        if (typeof roomCode !== 'string' || !roomCode || typeof name !== 'string' || !name) {
+            throw new Error('SharedMap needs a room code and a name');
+        }
+        const id = `${roomCode}\n${name}`;
+        const existing = sharedMapHub.maps.get(id);
+        if (existing) return existing;
+
+        this.room = roomCode;
+        this.name = name;
+        this.clock = new HybridClock(sharedMapHub.options ? sharedMapHub.options.peerId : null);
+        this.registers = new Map();     // key -> { ts, value, deleted }
+        this.sets = new Map();          // key -> { adds: Map(tag -> value), removed: Set(tag) }
+        this.listeners = new Set();
+        this.dirty = { registers: new Set(), sets: new Set() };
+        this.sendTimer = null;
+        this.saveTimer = null;
+
+        sharedMapHub.maps.set(id, this);
+        this.ready = this.load();
+    }
+
+    // ========================================================================
+    // Registers (last writer wins)
+    // ========================================================================
+
+    get(key) {
+        const entry = this.registers.get(key);
+        return entry && !entry.deleted ? entry.value : undefined;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    set(key, value) {
+        if (value === undefined) throw new Error('SharedMap values cannot be undefined; use delete()');
+        elementKey(value); // Throws for values that cannot be sent
+        this.writeRegister(key, { ts: this.stamp(), value, deleted: false });
+    }
+
+    delete(key) {
+        if (!this.registers.has(key)) return;
+        this.writeRegister(key, { ts: this.stamp(), value: null, deleted: true });
+    }
+
+    /**
+     * Current register keys and values
+     */
+    entries() {
+        return [...this.registers.entries()]
+            .filter(([, entry]) => !entry.deleted)
+            .map(([key, entry]) => [key, entry.value]);
+    }
+
+    writeRegister(key, entry) {
+        this.registers.set(key, entry);
+        this.dirty.registers.add(key);
+        this.changed(key, entry.deleted ? undefined : entry.value, { type: 'register', remote: false });
+    }
+
+    // ========================================================================
+    // Sets (observed remove)
+    // ========================================================================
+
+    /**
+     * Elements of the set at `key`
+     */
+    members(key) {
+        const entry = this.sets.get(key);
+        if (!entry) return [];
+
+        const seen = new Map();
+        for (const [tag, value] of entry.adds) {
+            if (!entry.removed.has(tag)) seen.set(elementKey(value), value);
+        }
+        return [...seen.values()];
+    }
+
+    add(key, element) {
+        if (element === undefined) throw new Error('SharedMap set elements cannot be undefined');
+        elementKey(element);
+        const entry = this.setEntry(key);
+        entry.adds.set(timestampKey(this.stamp()), element);
+        this.dirty.sets.add(key);
+        this.changed(key, this.members(key), { type: 'set', remote: false });
+    }
+
+    /**
+     * Remove an element: tombstones every add of it seen so far
+     */
+    remove(key, element) {
+        const entry = this.sets.get(key);
+        if (!entry) return;
+
+        const target = elementKey(element);
+        let removed = false;
+        for (const [tag, value] of entry.adds) {
+            if (!entry.removed.has(tag) && elementKey(value) === target) {
+                entry.removed.add(tag);
+                removed = true;
+            }
+        }
+        if (!removed) return;
+        this.dirty.sets.add(key);
+        this.changed(key, this.members(key), { type: 'set', remote: false });
+    }
+
+    setEntry(key) {
+        if (!this.sets.has(key)) {
+            this.sets.set(key, { adds: new Map(), removed: new Set() });
+        }
+        return this.sets.get(key);
+    }
+
+    // ========================================================================
+    // Subscriptions
+    // ========================================================================
+
+    /**
+     * Call `listener(key, value, { type, remote })` after every change:
+     * value is the register's value (undefined once deleted) or the set's
+     * members; `remote` is false only for writes made through this object.
+     * Returns a function that unsubscribes.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    changed(key, value, change) {
+        for (const listener of this.listeners) {
+            try {
+                listener(key, value, change);
+            } catch (error) {
+                console.error(`SharedMap ${this.name} listener failed:`, error);
+            }
+        }
+        if (!change.remote) this.scheduleSend();
+        this.scheduleSave();
+    }
+
+    // ========================================================================
+    // Replication
+    // ========================================================================
+
+    stamp() {
+        if (!this.clock.node) {
+            throw new Error('Shared maps are not connected yet (configureSharedMaps)');
+        }
+        return this.clock.now();
+    }
+
+    scheduleSend() {
+        if (this.sendTimer) return;
+        this.sendTimer = setTimeout(() => {
+            this.sendTimer = null;
+            const registers = [...this.dirty.registers];
+            const sets = [...this.dirty.sets];
+            this.dirty = { registers: new Set(), sets: new Set() };
+            this.sendEntries(registers, sets, (content) => sharedMapHub.options.broadcast(this.room, content));
+        }, SHARED_MAP.SEND_DELAY);
+    }
+
+    /**
+     * Send register and set entries in DATA-sized batches
+     */
+    sendEntries(registerKeys, setKeys, send) {
+        const entries = [
+            ...registerKeys.map(key => ({ registers: [this.encodeRegister(key)] })),
+            ...setKeys.map(key => ({ sets: [this.encodeSet(key)] }))
+        ];
+        for (let i = 0; i < entries.length; i += SHARED_MAP.MAX_ENTRIES) {
+            const batch = entries.slice(i, i + SHARED_MAP.MAX_ENTRIES);
+            send({
+                kind: SHARED_MAP_KINDS.DELTA,
+                room: this.room,
+                name: this.name,
+                registers: batch.flatMap(e => e.registers || []),
+                sets: batch.flatMap(e => e.sets || [])
+            });
+        }
+    }
+
+    encodeRegister(key) {
+        const entry = this.registers.get(key);
+        return { key, ts: entry.ts, value: entry.value, deleted: entry.deleted };
+    }
+
+    encodeSet(key) {
+        const entry = this.sets.get(key);
+        return { key, adds: [...entry.adds.entries()], removed: [...entry.removed] };
+    }
+
+    /**
+     * Merge entries from a peer or from storage. Returns the number of keys
+     * that changed.
+     */
+    merge(content) {
+        const maxWall = Date.now() + SHARED_MAP.MAX_DRIFT;
+        let changes = 0;
+
+        for (const incoming of content.registers || []) {
+            if (typeof incoming.key !== 'string' || !isTimestamp(incoming.ts) || incoming.ts[0] > maxWall) continue;
+            this.clock.receive(incoming.ts);
+            const current = this.registers.get(incoming.key);
+            if (current && compareTimestamps(current.ts, incoming.ts) >= 0) continue;
+
+            const entry = { ts: incoming.ts, value: incoming.deleted ? null : incoming.value, deleted: !!incoming.deleted };
+            if (entry.value === undefined) continue;
+            this.registers.set(incoming.key, entry);
+            changes++;
+            this.changed(incoming.key, entry.deleted ? undefined : entry.value, { type: 'register', remote: true });
+        }
+
+        for (const incoming of content.sets || []) {
+            if (typeof incoming.key !== 'string' || !Array.isArray(incoming.adds) || !Array.isArray(incoming.removed)) continue;
+            const entry = this.setEntry(incoming.key);
+            let updated = false;
+            for (const add of incoming.adds) {
+                if (!Array.isArray(add) || typeof add[0] !== 'string' || add[1] === undefined || entry.adds.has(add[0])) continue;
+                entry.adds.set(add[0], add[1]);
+                updated = true;
+            }
+            for (const tag of incoming.removed) {
+                if (typeof tag !== 'string' || entry.removed.has(tag)) continue;
+                entry.removed.add(tag);
+                updated = true;
+            }
+            if (!updated) continue;
+            changes++;
+            this.changed(incoming.key, this.members(incoming.key), { type: 'set', remote: true });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Summary of every entry, compared by peers to find what differs
+     */
+    digest() {
+        const registers = {};
+        for (const [key, entry] of this.registers) {
+            registers[key] = timestampKey(entry.ts);
+        }
+        const sets = {};
+        for (const [key, entry] of this.sets) {
+            sets[key] = hashString([...entry.adds.keys()].sort().join(',') + '|' + [...entry.removed].sort().join(','));
+        }
+        return { registers, sets };
+    }
+
+    requestSync(pid) {
+        this.ready.then(() => {
+            sharedMapHub.options.sendTo(pid, {
+                kind: SHARED_MAP_KINDS.SYNC,
+                room: this.room,
+                name: this.name,
+                digest: this.digest()
+            });
+        });
+    }
+
+    /**
+     * Send a peer the entries whose digest differs from theirs
+     */
+    answerSync(pid, theirs) {
+        this.ready.then(() => {
+            const ours = this.digest();
+            const theirRegisters = theirs.registers || {};
+            const theirSets = theirs.sets || {};
+            const registerKeys = Object.keys(ours.registers).filter(key => theirRegisters[key] !== ours.registers[key]);
+            const setKeys = Object.keys(ours.sets).filter(key => theirSets[key] !== ours.sets[key]);
+            this.sendEntries(registerKeys, setKeys, (content) => sharedMapHub.options.sendTo(pid, content));
+        });
+    }
+
+    // ========================================================================
+    // Persistence
+    // ========================================================================
+
+    async load() {
+        const store = sharedMapHub.options && sharedMapHub.options.store;
+        if (!store) return;
+        try {
+            const record = await store.getMap(this.room, this.name);
+            if (record) this.merge(record);
+        } catch (error) {
+            console.warn(`Failed to load shared map ${this.name}:`, error);
+        }
+    }
+
+    scheduleSave() {
+        const store = sharedMapHub.options && sharedMapHub.options.store;
+        if (!store || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            store.putMap({
+                room: this.room,
+                name: this.name,
+                registers: [...this.registers.keys()].map(key => this.encodeRegister(key)),
+                sets: [...this.sets.keys()].map(key => this.encodeSet(key))
+            }).catch(error => console.warn(`Failed to save shared map ${this.name}:`, error));
+        }, SHARED_MAP.SAVE_DELAY);
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PSharedMap = {
+        // Constants
+        SHARED_MAP,
+        SHARED_MAP_KINDS,
+        SHARED_MAP_SCHEMA,
+
+        // Classes
+        HybridClock,
+        SharedMap,
+
+        // Functions
+        configureSharedMaps,
+        handleSharedMapMessage,
+        sharedMapsPeerConnected,
+        compareTimestamps
+    };
+
+    // The app-facing entry point lives on LP2P
+    if (window.LP2P) window.LP2P.SharedMap = SharedMap;
+}
@@ -0,0 +1,71 @@
+/**
+ * IndexedDB wrapper for persisting shared maps
+ * Store: `maps` keyed by [room, name] (register and set entries)
+ */
+(function(global){
+    const DB_NAME = 'lp2p-shared-maps';
+    const DB_VERSION = 1;
+    const MAPS_STORE = 'maps';
+
+    function openDB(){
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (ev) => {
+                const db = ev.target.result;
+                if (!db.objectStoreNames.contains(MAPS_STORE)){
+                    db.createObjectStore(MAPS_STORE, { keyPath: ['room', 'name'] });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function withStore(mode, fn){
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(MAPS_STORE, mode);
+            let res;
+            try {
+                res = fn(tx.objectStore(MAPS_STORE));
+            } catch (err) {
+                reject(err);
+            }
+            tx.oncomplete = () => resolve(res);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function request(req){
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const SharedMapStore = {
+        async putMap(map) {
+            if (!map || !map.room || !map.name) throw new Error('Invalid shared map');
+            return withStore('readwrite', (store) => store.put(map));
+        },
+
+        async getMap(room, name){
+            const db = await openDB();
+            const tx = db.transaction(MAPS_STORE, 'readonly');
+            return request(tx.objectStore(MAPS_STORE).get([room, name]));
+        },
+
+        async deleteMap(room, name){
+            return withStore('readwrite', (store) => store.delete([room, name]));
+        },
+
+        async clear(){
+            return withStore('readwrite', (store) => store.clear());
+        }
+    };
+
+    if (typeof global !== 'undefined') {
+        global.LP2PSharedMapStore = SharedMapStore;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,125 @@
+/**
+ * IndexedDB wrapper for persisting partial file transfers
+ * Store: `transfers` keyed by `fileId` (transfer metadata, plus the source
+ * Blob for outgoing files) and `chunks` keyed by [fileId, index]
+ */
+(function(global){
+    const DB_NAME = 'lp2p-transfers';
+    const DB_VERSION = 1;
+    const TRANSFERS_STORE = 'transfers';
+    const CHUNKS_STORE = 'chunks';
+
+    function openDB(){
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (ev) => {
+                const db = ev.target.result;
+                if (!db.objectStoreNames.contains(TRANSFERS_STORE)){
+                    const store = db.createObjectStore(TRANSFERS_STORE, { keyPath: 'fileId' });
+                    store.createIndex('peer', 'peer');
+                }
+                if (!db.objectStoreNames.contains(CHUNKS_STORE)){
+                    const store = db.createObjectStore(CHUNKS_STORE, { keyPath: ['fileId', 'index'] });
+                    store.createIndex('fileId', 'fileId');
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function withStores(storeNames, mode, fn){
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let res;
+            try {
+                res = fn(...storeNames.map(name => tx.objectStore(name)));
+            } catch (err) {
+                reject(err);
+            }
+            tx.oncomplete = () => resolve(res);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function request(req){
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const TransferStore = {
+        async putTransfer(transfer) {
+            if (!transfer || !transfer.fileId) throw new Error('Invalid transfer');
+            return withStores([TRANSFERS_STORE], 'readwrite', (store) => store.put(transfer));
+        },
+
+        async getTransfer(fileId){
+            const db = await openDB();
+            const tx = db.transaction(TRANSFERS_STORE, 'readonly');
+            return request(tx.objectStore(TRANSFERS_STORE).get(fileId));
+        },
+
+        async getAllTransfers(){
+            const db = await openDB();
+            const tx = db.transaction(TRANSFERS_STORE, 'readonly');
+            return (await request(tx.objectStore(TRANSFERS_STORE).getAll())) || [];
+        },
+
+        /**
+         * Store one received chunk (a Blob or ArrayBuffer)
+         */
+        async putChunk(fileId, index, data){
+            return withStores([CHUNKS_STORE], 'readwrite', (store) => store.put({ fileId, index, data }));
+        },
+
+        /**
+         * Get stored chunk data for a file, ordered by chunk index
+         */
+        async getChunks(fileId){
+            const db = await openDB();
+            const tx = db.transaction(CHUNKS_STORE, 'readonly');
+            const range = IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+            const records = (await request(tx.objectStore(CHUNKS_STORE).getAll(range))) || [];
+            return records.map(r => r.data);
+        },
+
+        /**
+         * Get the indexes of the chunks stored for a file
+         */
+        async getChunkIndexes(fileId){
+            const db = await openDB();
+            const tx = db.transaction(CHUNKS_STORE, 'readonly');
+            const range = IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+            const keys = (await request(tx.objectStore(CHUNKS_STORE).getAllKeys(range))) || [];
+            return keys.map(key => key[1]);
+        },
+
+        async deleteChunks(fileId){
+            const range = IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+            return withStores([CHUNKS_STORE], 'readwrite', (store) => store.delete(range));
+        },
+
+        async deleteTransfer(fileId){
+            const range = IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+            return withStores([TRANSFERS_STORE, CHUNKS_STORE], 'readwrite', (transfers, chunks) => {
+                transfers.delete(fileId);
+                chunks.delete(range);
+            });
+        },
+
+        async clear(){
+            return withStores([TRANSFERS_STORE, CHUNKS_STORE], 'readwrite', (transfers, chunks) => {
+                transfers.clear();
+                chunks.clear();
+            });
+        }
+    };
+
+    if (typeof global !== 'undefined') {
+        global.LP2PTransferStore = TransferStore;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
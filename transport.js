@@ -0,0 +1,144 @@
+/**
+ * Data Channel Transport
+ *
+ * Per-connection send queue with backpressure. RTCDataChannel.send() fails
+ * (and closes the channel in some browsers) once the SCTP buffer overflows,
+ * so frames are held back while bufferedAmount is above a high-water mark
+ * and released again on the channel's `bufferedamountlow` event.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const SEND_PRIORITIES = {
+    HIGH: 0,    // SYSTEM and CONTROL messages, file control
+    NORMAL: 1,  // TEXT and DATA
+    BULK: 2     // File chunks (and any sealed FILE message)
+};
+
+const FLOW_CONTROL = {
+    HIGH_WATER_MARK: 1024 * 1024,    // Stop handing frames to the channel above 1MB buffered
+    LOW_WATER_MARK: 256 * 1024       // Resume once the buffer drains below 256KB
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Pick the queue priority for a protocol message
+ */
+function priorityFor(message) {
+    switch (message.type) {
+        case LP2P.MESSAGE_TYPES.SYSTEM:
+        case LP2P.MESSAGE_TYPES.CONTROL:
+            return SEND_PRIORITIES.HIGH;
+        case LP2P.MESSAGE_TYPES.FILE:
+            // A sealed payload hides its action, so sealed file messages are
+            // all treated as chunks; senders await each chunk, so a sealed
+            // control message waits behind at most a few of them
+            return message.payload.action === LP2P.FILE_ACTIONS.CHUNK || message.payload.sealed
+                ? SEND_PRIORITIES.BULK
+                : SEND_PRIORITIES.HIGH;
+        default:
+            return SEND_PRIORITIES.NORMAL;
+    }
+}
+
+// ============================================================================
+// SendQueue Class
+// ============================================================================
+
+class SendQueue {
+    /**
+     * @param {RTCDataChannel} channel
+     * @param {Object} [options]
+     * @param {number} [options.highWaterMark]
+     * @param {number} [options.lowWaterMark]
+     */
+    constructor(channel, options = {}) {
+        this.channel = channel;
+        this.highWaterMark = options.highWaterMark || FLOW_CONTROL.HIGH_WATER_MARK;
+        this.lowWaterMark = options.lowWaterMark || FLOW_CONTROL.LOW_WATER_MARK;
+        this.queues = Object.values(SEND_PRIORITIES).map(() => []);
+        this.closed = false;
+
+        this.channel.bufferedAmountLowThreshold = this.lowWaterMark;
+        this.channel.addEventListener('bufferedamountlow', () => this.pump());
+        this.channel.addEventListener('close', () => this.close(new Error('Data channel closed')));
+    }
+
+    /**
+     * Queue a frame (string or ArrayBuffer). Resolves once the frame has been
+     * handed to the channel, rejects if the channel closes first.
+     */
+    send(frame, priority = SEND_PRIORITIES.NORMAL) {
+        if (this.closed || this.channel.readyState !== 'open') {
+            return Promise.reject(new Error('Data channel not open'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queues[priority].push({ frame, resolve, reject });
+            this.pump();
+        });
+    }
+
+    /**
+     * Number of frames waiting to be handed to the channel
+     */
+    get length() {
+        return this.queues.reduce((total, queue) => total + queue.length, 0);
+    }
+
+    /**
+     * Hand queued frames to the channel, highest priority first, until the
+     * channel's buffer reaches the high-water mark
+     */
+    pump() {
+        while (!this.closed && this.channel.bufferedAmount < this.highWaterMark) {
+            const queue = this.queues.find(q => q.length > 0);
+            if (!queue) return;
+
+            const entry = queue.shift();
+            try {
+                this.channel.send(entry.frame);
+                entry.resolve();
+            } catch (error) {
+                entry.reject(error);
+            }
+        }
+    }
+
+    /**
+     * Reject everything still queued
+     */
+    close(error = new Error('Send queue closed')) {
+        if (this.closed) return;
+        this.closed = true;
+
+        for (const queue of this.queues) {
+            for (const entry of queue.splice(0)) {
+                entry.reject(error);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LP2PTransport = {
+        // Constants
+        SEND_PRIORITIES,
+        FLOW_CONTROL,
+
+        // Classes
+        SendQueue,
+
+        // Utilities
+        priorityFor
+    };
+}
@@ -219,6 +219,7 @@ function displayIdentity() {
             <div><strong>Name:</strong> ${displayName}</div>
             <div style="margin-top:8px;"><strong>Key ID:</strong> <div class="mono">${keyId}</div></div>
             <div style="margin-top:8px;"><strong>Fingerprint:</strong> <div class="mono">${fingerprint}</div></div>
+            <label style="margin-top:10px; display:flex; gap:8px; align-items:center;"><input type="checkbox" id="readReceiptsToggle" onchange="toggleReadReceipts(this)" checked> Send read receipts</label>
             <div style="margin-top:10px; display:flex; gap:8px;"><button onclick="changeName()" class="btn-primary">Edit Name</button></div>
         `;
         document.body.appendChild(popup);
@@ -232,6 +233,8 @@ function displayIdentity() {
 function toggleIdentityPopup() {
     const popup = document.getElementById('identityPopup');
     if (!popup) return;
+    const receiptsToggle = document.getElementById('readReceiptsToggle');
+    if (receiptsToggle && activity) receiptsToggle.checked = activity.receiptsEnabled;
     if (popup.style.display === 'block') popup.style.display = 'none'; else popup.style.display = 'block';
 }
 
@@ -321,12 +324,22 @@ function updatePeerRoster() {
         // Online if we have an entry in presenceMap (maintained by globalPeerJS), else connected if direct dc open, else known
         const presenceMap = window.presenceMap || new Map();
         const isOnline = presenceMap.has(pid);
-        const statusIndicator = isConnected ? '🟢 Connected' : (isOnline ? '🟢 Online' : '⚪ Known');
+        const statusIndicator = isConnected
+            ? (activity && activity.isAway(pid) ? '🌙 Away' : '🟢 Connected')
+            : (isOnline ? '🟢 Online' : '⚪ Known');
+        const queuedCount = offlineQueue ? offlineQueue.itemsFor(pid).length : 0;
+        const queuedBadge = queuedCount > 0 ? ` · 📥 ${queuedCount} queued` : '';
+        const latencyBadge = isConnected && heartbeat ? formatLatency(heartbeat.statsForPeer(pid)) : '';
+        const introducer = !isConnected && record.introducedBy ? identityManager.getPeer(record.introducedBy) : null;
+        // Names come from other peers (HELLO, INTRODUCE, peerList), so they are escaped
+        const viaBadge = introducer
+            ? ` · via ${LP2PMarkdown.escapeHtml(String(introducer.profile?.name || record.introducedBy.substring(0, 8)))}`
+            : '';
         
         html += `
             <div class="peer-item ${isSelected ? 'selected' : ''}" onclick="selectPeer('${pid}')">
-                <div class="peer-name">${name}${trustBadges[trustLevel] || ''}</div>
-                <div class="peer-status">${statusIndicator}</div>
+                <div class="peer-name">${LP2PMarkdown.escapeHtml(String(name))}${trustBadges[trustLevel] || ''}</div>
+                <div class="peer-status">${statusIndicator}${latencyBadge}${viaBadge}${queuedBadge}</div>
             </div>
         `;
     }
@@ -334,6 +347,18 @@ function updatePeerRoster() {
     rosterList.innerHTML = html;
 }
 
+/**
+ * Roster text for a connection's heartbeat stats: smoothed round-trip time,
+ * flagged when pongs are being missed
+ */
+function formatLatency(stats) {
+    if (!stats) return '';
+    if (stats.health === LP2PHeartbeat.CONNECTION_HEALTH.DEGRADED) {
+        return ` · ⚠️ ${stats.smoothedRtt !== null ? stats.smoothedRtt + ' ms, ' : ''}not responding`;
+    }
+    return stats.smoothedRtt !== null ? ` · 📶 ${stats.smoothedRtt} ms` : '';
+}
+
 /**
  * Update trust level for active peer
  */
@@ -425,9 +450,10 @@ async function saveTrustLevel() {
 }
 
 /**
- * Add a message to the chat
+ * Add a message to the chat; a reply shows the message it answers above it.
+ * `note` (e.g. "broadcast to 3 peers", or signature icons) goes next to the time.
  */
-function addMessage(text, isSent, messageId = null, senderId = null) {
+function addMessage(text, isSent, messageId = null, senderId = null, status = null, replyTo = null, format = 'plain', note = '') {
     // Clear placeholder if exists
     if (messagesDiv.children.length === 1 && messagesDiv.children[0].classList && messagesDiv.children[0].classList.contains('center-muted')) {
         messagesDiv.innerHTML = '';
@@ -453,21 +479,117 @@ function addMessage(text, isSent, messageId = null, senderId = null) {
         messageDiv.appendChild(senderDiv);
     }
     
+    // A message cannot answer itself; other reply cycles are caught when walking threads
+    if (replyTo === messageId) replyTo = null;
+    if (replyTo) {
+        messageDiv.dataset.replyTo = replyTo;
+        messageDiv.appendChild(createReplyQuote(replyTo));
+    }
+
     const textDiv = document.createElement('div');
-    textDiv.textContent = text;
+    textDiv.className = 'message-text';
+    messageDiv.dataset.format = format;
+    renderMessageText(textDiv, text, format);
     
     const timeDiv = document.createElement('div');
     timeDiv.className = 'message-time';
-    timeDiv.textContent = new Date().toLocaleTimeString();
+    timeDiv.textContent = new Date().toLocaleTimeString() + (note ? ` · ${note}` : '');
+
+    // Delivery ticks for our own messages
+    if (isSent && status) {
+        const statusSpan = document.createElement('span');
+        statusSpan.className = 'message-status';
+        timeDiv.appendChild(document.createTextNode(' '));
+        timeDiv.appendChild(statusSpan);
+        renderMessageStatus(statusSpan, status);
+
+        if (status === 'queued' && messageId) {
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'message-cancel';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.onclick = () => cancelQueuedMessage(messageId);
+            timeDiv.appendChild(cancelBtn);
+        }
+    }
     
     messageDiv.appendChild(textDiv);
     messageDiv.appendChild(timeDiv);
     messagesDiv.appendChild(messageDiv);
+
+    if (messageId && senderId) messageDiv.dataset.senderId = senderId;
+    if (messageId && status !== 'queued') addMessageTools(messageDiv, messageId);
+    if (isSent && messageId) addEditActions(messageDiv, messageId);
+    if (messageId && reactions) renderReactions(messageId, reactions.summary(messageId));
+    if (replyTo) replyAdded(messageDiv);
+    // Replies that arrived before this message now have something to quote
+    if (messageId && repliesTo(messageId).length > 0) {
+        refreshReplyQuotes(messageId);
+        renderThreadToggle(messageDiv);
+    }
+
+    // Read receipts: ours are sent once the message is seen, theirs shown as "Seen by"
+    if (messageId && activity) {
+        if (isSent) activity.trackSent(messageId);
+        else if (senderId) observeForReceipt(messageDiv, senderId);
+    }
     
     // Scroll to bottom
     messagesDiv.scrollTop = messagesDiv.scrollHeight;
 }
 
+const MESSAGE_STATUS_ICONS = {
+    queued: '📥',
+    pending: '🕓',
+    sent: '✓',
+    delivered: '✓✓',
+    failed: '⚠'
+};
+
+function renderMessageStatus(statusSpan, status, progress = null) {
+    statusSpan.textContent = MESSAGE_STATUS_ICONS[status] || '';
+    statusSpan.className = `message-status ${status}`;
+    let title = status.charAt(0).toUpperCase() + status.slice(1);
+    if (progress && progress.total > 1) {
+        title += ` (${progress.acked} of ${progress.total} confirmed)`;
+    }
+    statusSpan.title = title;
+}
+
+/**
+ * Update the delivery ticks of one of our messages
+ */
+function updateMessageStatus(messageId, status, progress = null) {
+    const messageDiv = messagesDiv.querySelector(`.message.sent[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!messageDiv) return;
+    const statusSpan = messageDiv.querySelector('.message-status');
+    if (statusSpan) renderMessageStatus(statusSpan, status, progress);
+    // Queued messages can only be cancelled until they are sent
+    const cancelBtn = messageDiv.querySelector('.message-cancel');
+    if (cancelBtn && status !== 'queued') cancelBtn.remove();
+    // A delivered queued message can now be replied to and edited
+    if (status !== 'queued') {
+        addMessageTools(messageDiv, messageId);
+        addEditActions(messageDiv, messageId);
+    }
+}
+
+/**
+ * Show a message waiting in the offline queue
+ */
+function addQueuedMessage(item) {
+    const peer = identityManager.getPeer(item.peer);
+    const name = peer?.profile?.name || item.peer.substring(0, 8);
+    addMessage(item.text, true, item.id, null, 'queued', item.replyTo || null, item.format || 'plain', `for ${name}`);
+}
+
+/**
+ * Remove one of our messages from the chat (e.g. a cancelled queued message)
+ */
+function removeMessage(messageId) {
+    const messageDiv = messagesDiv.querySelector(`.message.sent[data-message-id="${CSS.escape(messageId)}"]`);
+    if (messageDiv) messageDiv.remove();
+}
+
 /**
  * Add a system message to the chat
  */
@@ -488,6 +610,934 @@ function addSystemMessage(text) {
     messagesDiv.scrollTop = messagesDiv.scrollHeight;
 }
 
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/**
+ * Render or update the chat bubble for a file transfer
+ */
+function renderFileTransfer(transfer) {
+    const { TRANSFER_STATES, TRANSFER_DIRECTIONS } = LP2PFileTransfer;
+    const isOutgoing = transfer.direction === TRANSFER_DIRECTIONS.OUTGOING;
+
+    let messageDiv = messagesDiv.querySelector(`[data-file-id="${CSS.escape(transfer.fileId)}"]`);
+    if (!messageDiv) {
+        // Clear placeholder if exists
+        if (messagesDiv.children.length === 1 && messagesDiv.children[0].classList && messagesDiv.children[0].classList.contains('center-muted')) {
+            messagesDiv.innerHTML = '';
+        }
+
+        messageDiv = document.createElement('div');
+        messageDiv.className = 'message file-transfer ' + (isOutgoing ? 'sent' : 'received');
+        messageDiv.dataset.fileId = transfer.fileId;
+        messageDiv.innerHTML = `
+            <div class="file-name"></div>
+            <div class="file-progress"><div class="file-progress-bar"></div></div>
+            <div class="file-status"></div>
+            <div class="file-actions"></div>
+        `;
+        messageDiv.querySelector('.file-name').textContent = `📄 ${transfer.name} (${formatBytes(transfer.size)})`;
+        messagesDiv.appendChild(messageDiv);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    }
+
+    const done = isOutgoing ? transfer.sentChunks : transfer.receivedChunks;
+    const percent = transfer.totalChunks ? Math.floor((done / transfer.totalChunks) * 100) : 0;
+    messageDiv.querySelector('.file-progress-bar').style.width = `${percent}%`;
+
+    const peer = identityManager.getPeer(transfer.peer);
+    const peerName = peer?.profile?.name || transfer.peer.substring(0, 8);
+    const statusText = {
+        [TRANSFER_STATES.OFFERED]: `Waiting for ${peerName} to accept…`,
+        [TRANSFER_STATES.PENDING]: `${peerName} wants to send you a file`,
+        [TRANSFER_STATES.TRANSFERRING]: `${isOutgoing ? 'Sending' : 'Receiving'}… ${percent}%`,
+        [TRANSFER_STATES.INTERRUPTED]: `Interrupted at ${percent}% — resumes when ${peerName} reconnects`,
+        [TRANSFER_STATES.VERIFYING]: 'Verifying…',
+        [TRANSFER_STATES.COMPLETE]: isOutgoing ? `Delivered to ${peerName}` : 'Received and verified',
+        [TRANSFER_STATES.REJECTED]: `Rejected (${transfer.reason})`,
+        [TRANSFER_STATES.CANCELLED]: `Cancelled (${transfer.reason})`,
+        [TRANSFER_STATES.FAILED]: `Failed (${transfer.reason})`
+    };
+    messageDiv.querySelector('.file-status').textContent = statusText[transfer.state] || transfer.state;
+
+    const actions = messageDiv.querySelector('.file-actions');
+    actions.innerHTML = '';
+    const addAction = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-secondary btn-small';
+        btn.textContent = label;
+        btn.onclick = onClick;
+        actions.appendChild(btn);
+    };
+
+    if (transfer.state === TRANSFER_STATES.PENDING) {
+        addAction('Accept', () => acceptFileTransfer(transfer.fileId));
+        addAction('Reject', () => rejectFileTransfer(transfer.fileId));
+    } else if (transfer.state === TRANSFER_STATES.OFFERED || transfer.state === TRANSFER_STATES.TRANSFERRING) {
+        addAction('Cancel', () => cancelFileTransfer(transfer.fileId));
+    } else if (transfer.state === TRANSFER_STATES.INTERRUPTED) {
+        if (typeof createDirectOffer === 'function') {
+            addAction('Reconnect', () => createDirectOffer(transfer.peer));
+        }
+        addAction('Cancel', () => cancelFileTransfer(transfer.fileId));
+    } else if (transfer.state === TRANSFER_STATES.COMPLETE && transfer.blob) {
+        if (!transfer.url) {
+            transfer.url = URL.createObjectURL(transfer.blob);
+        }
+        const link = document.createElement('a');
+        link.href = transfer.url;
+        link.download = transfer.name;
+        link.textContent = '⬇️ Download';
+        actions.appendChild(link);
+    }
+}
+
+/**
+ * Let files be dropped onto the message area to offer them to peers
+ */
+function initFileDropZone() {
+    if (!messagesDiv) return;
+
+    messagesDiv.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        messagesDiv.classList.add('drop-target');
+    });
+
+    messagesDiv.addEventListener('dragleave', () => {
+        messagesDiv.classList.remove('drop-target');
+    });
+
+    messagesDiv.addEventListener('drop', (e) => {
+        e.preventDefault();
+        messagesDiv.classList.remove('drop-target');
+        const files = Array.from(e.dataTransfer.files || []);
+        if (files.length > 0 && typeof sendFiles === 'function') {
+            sendFiles(files);
+        }
+    });
+}
+
+/**
+ * Notes UI
+ */
+let openNoteId = null;
+
+function renderNotesList() {
+    const list = document.getElementById('notesList');
+    if (!list || !notes) return;
+
+    const all = notes.list();
+    if (all.length === 0) {
+        list.innerHTML = '<div class="no-notes">No notes yet</div>';
+        return;
+    }
+
+    list.innerHTML = '';
+    for (const note of all) {
+        const item = document.createElement('div');
+        item.className = 'note-item' + (note.id === openNoteId ? ' selected' : '');
+        item.onclick = () => openNote(note.id);
+
+        const title = document.createElement('div');
+        title.className = 'note-title';
+        title.textContent = notes.titleOf(note);
+        const meta = document.createElement('div');
+        meta.className = 'note-meta';
+        meta.textContent = note.peers.size > 0
+            ? `Shared with ${note.peers.size} · ${new Date(note.updatedAt).toLocaleString()}`
+            : new Date(note.updatedAt).toLocaleString();
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        list.appendChild(item);
+    }
+}
+
+function openNote(noteId) {
+    const note = notes && notes.get(noteId);
+    const editor = document.getElementById('noteEditor');
+    openNoteId = note ? note.id : null;
+
+    editor.disabled = !note;
+    editor.value = note ? note.doc.text() : '';
+    document.getElementById('shareNoteBtn').disabled = !note;
+    document.getElementById('removeNoteBtn').disabled = !note;
+    renderNoteSharing(note);
+    renderNotesList();
+    if (note) editor.focus();
+}
+
+function renderNoteSharing(note) {
+    const shared = document.getElementById('noteSharedWith');
+    if (!note || note.peers.size === 0) {
+        shared.textContent = note ? 'Only on this device' : '';
+        return;
+    }
+    const names = [...note.peers].map(pid => {
+        const peer = identityManager.getPeer(pid);
+        return peer?.profile?.name || pid.substring(0, 8);
+    });
+    shared.textContent = `Shared with ${names.join(', ')}`;
+}
+
+/**
+ * A note changed. Remote edits to the open note are merged into the editor,
+ * keeping the caret in place relative to the text around it.
+ */
+function renderNote(note, change = {}) {
+    if (note.id === openNoteId) {
+        const editor = document.getElementById('noteEditor');
+        const text = note.doc.text();
+        const before = editor.value;
+        if (change.remote && before !== text) {
+            // Text before the first difference is unchanged; the caret moves with anything after it
+            let unchanged = 0;
+            while (unchanged < before.length && unchanged < text.length && before[unchanged] === text[unchanged]) unchanged++;
+            const shift = (pos) => pos <= unchanged ? pos : Math.max(unchanged, pos + text.length - before.length);
+            const start = shift(editor.selectionStart);
+            const end = shift(editor.selectionEnd);
+            editor.value = text;
+            editor.setSelectionRange(start, end);
+        }
+        renderNoteSharing(note);
+    }
+    renderNotesList();
+}
+
+function createNote() {
+    if (!notes) return;
+    openNote(notes.create().id);
+}
+
+/**
+ * Share the open note with the selected peer
+ */
+function shareOpenNote() {
+    if (!notes || !openNoteId) return;
+    if (!activePeerId) {
+        alert('Select a peer to share this note with');
+        return;
+    }
+    notes.share(openNoteId, activePeerId);
+}
+
+async function removeOpenNote() {
+    if (!notes || !openNoteId) return;
+    if (!confirm('Remove this note from this device? Peers it is shared with keep their copies.')) return;
+    await notes.remove(openNoteId);
+    openNote(null);
+}
+
+function initNotesEditor() {
+    const editor = document.getElementById('noteEditor');
+    if (!editor) return;
+    editor.addEventListener('input', () => {
+        if (notes && openNoteId) notes.edit(openNoteId, editor.value);
+    });
+}
+
+/**
+ * Repositories UI
+ */
+let openRepoId = null;
+let repoPreviewUrl = null;
+
+const REPO_IMAGE_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', svg: 'image/svg+xml', webp: 'image/webp'
+};
+
+function renderReposList() {
+    const list = document.getElementById('reposList');
+    if (!list || !repos) return;
+
+    const all = repos.list();
+    if (all.length === 0) {
+        list.innerHTML = '<div class="no-repos">No repositories yet</div>';
+        return;
+    }
+
+    list.innerHTML = '';
+    for (const repo of all) {
+        const item = document.createElement('div');
+        item.className = 'repo-item' + (repo.id === openRepoId ? ' selected' : '');
+        item.onclick = () => openRepo(repo.id);
+
+        const title = document.createElement('div');
+        title.className = 'repo-title';
+        title.textContent = `📦 ${repo.name}`;
+        const meta = document.createElement('div');
+        meta.className = 'repo-meta';
+        const owner = repo.owner === peerId ? 'Yours' : `From ${peerDisplayName(repo.owner)}`;
+        meta.textContent = repo.complete ? `${owner} · ${repo.root.slice(0, 8)}` : `${owner} · fetching…`;
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        list.appendChild(item);
+    }
+}
+
+function peerDisplayName(pid) {
+    const peer = identityManager.getPeer(pid);
+    return peer?.profile?.name || pid.substring(0, 8);
+}
+
+/**
+ * A repository changed (imported, shared, or fetched further)
+ */
+function renderRepo(repo) {
+    renderReposList();
+    if (repo.id === openRepoId) openRepo(repo.id);
+}
+
+async function openRepo(repoId) {
+    const repo = repos && repos.get(repoId);
+    openRepoId = repo ? repo.id : null;
+    renderReposList();
+
+    const tree = document.getElementById('repoTree');
+    const info = document.getElementById('repoInfo');
+    document.getElementById('shareRepoBtn').disabled = !repo || !repo.complete;
+    document.getElementById('removeRepoBtn').disabled = !repo;
+    showRepoPreview(null);
+    tree.innerHTML = '';
+    if (!repo) {
+        info.textContent = '';
+        return;
+    }
+
+    const shared = repo.peers.length > 0 ? ` · shared with ${repo.peers.map(peerDisplayName).join(', ')}` : '';
+    info.textContent = `${repo.name}${shared}`;
+    await renderRepoDir(tree, repo.root);
+}
+
+/**
+ * List a directory; subdirectories expand when clicked
+ */
+async function renderRepoDir(container, hash) {
+    const entries = await repos.readTree(hash);
+    if (!entries) {
+        container.innerHTML = '<div class="repo-missing">Not fetched yet…</div>';
+        return;
+    }
+
+    const dirsFirst = [...entries].sort((a, b) => (a.type === b.type ? 0 : a.type === 'dir' ? -1 : 1));
+    for (const entry of dirsFirst) {
+        const row = document.createElement('div');
+        row.className = 'repo-entry';
+        const label = document.createElement('div');
+        label.className = 'repo-entry-name';
+        row.appendChild(label);
+
+        if (entry.type === 'dir') {
+            const children = document.createElement('div');
+            children.className = 'repo-children';
+            children.hidden = true;
+            row.appendChild(children);
+            label.textContent = `📁 ${entry.name}`;
+            label.onclick = async () => {
+                if (!children.hidden) {
+                    children.hidden = true;
+                    label.textContent = `📁 ${entry.name}`;
+                    return;
+                }
+                if (!children.hasChildNodes()) await renderRepoDir(children, entry.hash);
+                children.hidden = false;
+                label.textContent = `📂 ${entry.name}`;
+            };
+        } else {
+            label.textContent = `📄 ${entry.name}`;
+            label.title = formatBytes(entry.size || 0);
+            label.onclick = () => previewRepoFile(entry);
+        }
+        container.appendChild(row);
+    }
+}
+
+async function previewRepoFile(entry) {
+    const bytes = await repos.readFile(entry.hash);
+    if (!bytes) {
+        showRepoPreview(entry, 'Not fetched yet…');
+        return;
+    }
+
+    const extension = entry.name.includes('.') ? entry.name.split('.').pop().toLowerCase() : '';
+    if (REPO_IMAGE_TYPES[extension]) {
+        const img = document.createElement('img');
+        img.src = showRepoPreview(entry, null, new Blob([bytes], { type: REPO_IMAGE_TYPES[extension] }));
+        img.className = 'repo-preview-image';
+        document.getElementById('repoPreviewBody').appendChild(img);
+        return;
+    }
+
+    let text = null;
+    if (!bytes.subarray(0, 8192).includes(0)) {
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (_) {
+            text = null;
+        }
+    }
+    if (text === null) {
+        showRepoPreview(entry, `Binary file, ${formatBytes(bytes.length)}`, new Blob([bytes]));
+        return;
+    }
+
+    showRepoPreview(entry);
+    const pre = document.createElement('pre');
+    pre.className = 'repo-preview-text';
+    pre.textContent = text;
+    document.getElementById('repoPreviewBody').appendChild(pre);
+}
+
+/**
+ * Reset the preview pane for a file, with an optional note and download
+ * link. Returns the object URL of `blob`, if given.
+ */
+function showRepoPreview(entry, note = null, blob = null) {
+    const preview = document.getElementById('repoPreview');
+    if (repoPreviewUrl) {
+        URL.revokeObjectURL(repoPreviewUrl);
+        repoPreviewUrl = null;
+    }
+    preview.innerHTML = '';
+    if (!entry) {
+        preview.innerHTML = '<div class="repo-missing">Select a file to preview it</div>';
+        return null;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'repo-preview-header';
+    header.textContent = `${entry.name} · ${formatBytes(entry.size || 0)} `;
+    if (blob) {
+        repoPreviewUrl = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = repoPreviewUrl;
+        link.download = entry.name;
+        link.textContent = '⬇️ Download';
+        header.appendChild(link);
+    }
+    const body = document.createElement('div');
+    body.id = 'repoPreviewBody';
+    if (note) body.textContent = note;
+
+    preview.appendChild(header);
+    preview.appendChild(body);
+    return repoPreviewUrl;
+}
+
+/**
+ * Import the files picked in a folder or multi-file input
+ */
+async function importRepoFromInput(input) {
+    const files = Array.from(input.files || []);
+    input.value = '';
+    if (!repos || files.length === 0) return;
+
+    const name = files[0].webkitRelativePath ? null : prompt('Name for this repository:', 'Files');
+    if (name === '') return;
+    try {
+        const { repo, skipped } = await repos.importFiles(files, { name: name || undefined });
+        if (skipped.length > 0) {
+            addSystemMessage(`Skipped ${skipped.length} file(s) over ${formatBytes(LP2PRepos.REPOS.MAX_FILE_SIZE)}: ${skipped.join(', ')}`);
+        }
+        openRepo(repo.id);
+    } catch (error) {
+        console.error('Import failed:', error);
+        alert('Import failed: ' + error.message);
+    }
+}
+
+/**
+ * Share the open repository with the selected peer
+ */
+function shareOpenRepo() {
+    if (!repos || !openRepoId) return;
+    if (!activePeerId) {
+        alert('Select a peer to share this repository with');
+        return;
+    }
+    repos.share(openRepoId, activePeerId);
+}
+
+async function removeOpenRepo() {
+    if (!repos || !openRepoId) return;
+    if (!confirm('Remove this repository from this device?')) return;
+    await repos.remove(openRepoId);
+    openRepoId = null;
+    openRepo(null);
+}
+
+/**
+ * Message edits UI
+ */
+function addEditActions(messageDiv, messageId) {
+    if (!edits || !edits.canEdit(messageId) || messageDiv.querySelector('.message-edit-actions')) return;
+
+    const actions = document.createElement('span');
+    actions.className = 'message-actions message-edit-actions';
+    const editBtn = document.createElement('button');
+    editBtn.textContent = '✏️';
+    editBtn.title = 'Edit';
+    editBtn.onclick = () => editOwnMessage(messageId);
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.title = 'Delete';
+    deleteBtn.onclick = () => deleteOwnMessage(messageId);
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    messageDiv.querySelector('.message-time').appendChild(actions);
+}
+
+async function editOwnMessage(messageId) {
+    const text = prompt('Edit message:', edits.textOf(messageId) || '');
+    if (text === null || !text.trim()) return;
+    try {
+        await edits.edit(messageId, text.trim());
+    } catch (error) {
+        alert('Could not edit message: ' + error.message);
+    }
+}
+
+async function deleteOwnMessage(messageId) {
+    if (!confirm('Delete this message for everyone?')) return;
+    try {
+        await edits.remove(messageId);
+    } catch (error) {
+        alert('Could not delete message: ' + error.message);
+    }
+}
+
+/**
+ * Show a message's current text and an "(edited)" marker that opens its
+ * earlier versions, or that it was deleted
+ */
+function renderMessageEdit(messageId, record) {
+    const messageDiv = findMessageDiv(messageId);
+    if (!messageDiv) return;
+    const textDiv = messageDiv.querySelector('.message-text');
+
+    if (record.deleted) {
+        textDiv.textContent = '🗑️ Message deleted';
+        messageDiv.classList.add('deleted');
+        messageDiv.querySelectorAll('.message-actions, .message-edited, .message-history, .reaction-picker').forEach(el => el.remove());
+        refreshReplyQuotes(messageId);
+        return;
+    }
+
+    renderMessageText(textDiv, record.text, messageDiv.dataset.format);
+    refreshReplyQuotes(messageId);
+    let marker = messageDiv.querySelector('.message-edited');
+    if (!marker) {
+        marker = document.createElement('button');
+        marker.className = 'message-edited';
+        marker.textContent = '(edited)';
+        marker.title = 'Show earlier versions';
+        marker.onclick = () => toggleMessageHistory(messageDiv, messageId);
+        messageDiv.querySelector('.message-time').appendChild(marker);
+    }
+    const history = messageDiv.querySelector('.message-history');
+    if (history) fillMessageHistory(history, record);
+}
+
+function toggleMessageHistory(messageDiv, messageId) {
+    const open = messageDiv.querySelector('.message-history');
+    if (open) {
+        open.remove();
+        return;
+    }
+    const record = edits.lookup(messageId, messageDiv.classList.contains('sent') ? peerId : messageDiv.dataset.senderId);
+    if (!record) return;
+    const history = document.createElement('div');
+    history.className = 'message-history';
+    fillMessageHistory(history, record);
+    messageDiv.appendChild(history);
+}
+
+function fillMessageHistory(history, record) {
+    history.innerHTML = '';
+    for (const version of [...record.history].reverse()) {
+        const item = document.createElement('div');
+        item.textContent = `${new Date(version.at).toLocaleTimeString()}: ${version.text}`;
+        history.appendChild(item);
+    }
+}
+
+/**
+ * Message formatting UI
+ */
+const COMPOSE_FORMAT_SETTING = 'lp2p.composeFormat';
+let composeFormat = localStorage.getItem(COMPOSE_FORMAT_SETTING) === 'markdown' ? 'markdown' : 'plain';
+
+/**
+ * Show message text in its format. Markdown and html only reach the page
+ * through the sanitizer; without LP2PMarkdown they are shown as plain text.
+ */
+function renderMessageText(textDiv, text, format = 'plain') {
+    const rich = format !== 'plain' && typeof LP2PMarkdown !== 'undefined';
+    textDiv.classList.toggle('formatted', rich);
+    textDiv.replaceChildren(rich ? LP2PMarkdown.renderFormatted(text, format) : document.createTextNode(text));
+}
+
+/**
+ * Composer toggle between plain text and markdown (we never send html)
+ */
+function toggleComposeFormat() {
+    composeFormat = composeFormat === 'markdown' ? 'plain' : 'markdown';
+    localStorage.setItem(COMPOSE_FORMAT_SETTING, composeFormat);
+    renderComposeFormat();
+}
+
+function renderComposeFormat() {
+    const toggle = document.getElementById('formatToggle');
+    if (!toggle) return;
+    const on = composeFormat === 'markdown';
+    toggle.classList.toggle('active', on);
+    toggle.setAttribute('aria-pressed', String(on));
+    toggle.title = on ? 'Markdown on: **bold**, *italic*, `code`, lists, links' : 'Markdown off';
+}
+
+/**
+ * Threads & reactions UI
+ */
+let replyingTo = null; // Id of the message the composer is answering
+
+// Message ids come from other peers, so they are escaped in selectors
+function findMessageDiv(messageId) {
+    return messagesDiv.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+}
+
+function repliesTo(messageId) {
+    return messagesDiv.querySelectorAll(`.message[data-reply-to="${CSS.escape(messageId)}"]`);
+}
+
+/**
+ * Reply and react buttons, shown on hover
+ */
+function addMessageTools(messageDiv, messageId) {
+    if (messageDiv.querySelector('.message-tools') || messageDiv.classList.contains('deleted')) return;
+
+    const tools = document.createElement('span');
+    tools.className = 'message-actions message-tools';
+    const replyBtn = document.createElement('button');
+    replyBtn.textContent = '↩️';
+    replyBtn.title = 'Reply';
+    replyBtn.onclick = () => startReply(messageId);
+    const reactBtn = document.createElement('button');
+    reactBtn.textContent = '😊';
+    reactBtn.title = 'React';
+    reactBtn.onclick = () => toggleReactionPicker(messageDiv, messageId);
+    tools.appendChild(replyBtn);
+    tools.appendChild(reactBtn);
+    messageDiv.querySelector('.message-time').appendChild(tools);
+}
+
+/**
+ * Who wrote a message and the start of its text, as shown in the chat
+ */
+function describeMessage(messageDiv) {
+    const author = messageDiv.classList.contains('sent') ? 'You' : peerDisplayName(messageDiv.dataset.senderId || '');
+    const text = messageDiv.querySelector('.message-text').textContent;
+    return { author, snippet: text.length > 80 ? text.substring(0, 80) + '…' : text };
+}
+
+function startReply(messageId) {
+    const messageDiv = findMessageDiv(messageId);
+    if (!messageDiv) return;
+    replyingTo = messageId;
+
+    const { author, snippet } = describeMessage(messageDiv);
+    document.getElementById('replyComposerText').textContent = `Replying to ${author}: ${snippet}`;
+    document.getElementById('replyComposer').hidden = false;
+    messageInput.focus();
+}
+
+function cancelReply() {
+    replyingTo = null;
+    document.getElementById('replyComposer').hidden = true;
+}
+
+/**
+ * The quoted parent above a reply; clicking it jumps to the parent
+ */
+function createReplyQuote(parentId) {
+    const quote = document.createElement('div');
+    quote.className = 'message-quote';
+    quote.title = 'Show the original message';
+    quote.onclick = () => jumpToMessage(parentId);
+    fillReplyQuote(quote, parentId);
+    return quote;
+}
+
+function fillReplyQuote(quote, parentId) {
+    const parentDiv = findMessageDiv(parentId);
+    if (!parentDiv) {
+        quote.textContent = '↩️ Reply to a message not shown here';
+        return;
+    }
+    const { author, snippet } = describeMessage(parentDiv);
+    quote.textContent = `↩️ ${author}: ${snippet}`;
+}
+
+/**
+ * Keep quotes in step with an edited or deleted parent
+ */
+function refreshReplyQuotes(parentId) {
+    for (const reply of repliesTo(parentId)) {
+        const quote = reply.querySelector(':scope > .message-quote');
+        if (quote) fillReplyQuote(quote, parentId);
+    }
+}
+
+function jumpToMessage(messageId) {
+    const messageDiv = findMessageDiv(messageId);
+    if (!messageDiv) return;
+
+    // Open any collapsed thread hiding it
+    for (const ancestor of ancestorsOf(messageDiv)) {
+        if (ancestor.classList.contains('thread-collapsed')) toggleThread(ancestor.dataset.messageId);
+    }
+    messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageDiv.classList.add('highlight');
+    setTimeout(() => messageDiv.classList.remove('highlight'), 1500);
+}
+
+function parentMessageDiv(messageDiv) {
+    return messageDiv.dataset.replyTo ? findMessageDiv(messageDiv.dataset.replyTo) : null;
+}
+
+/**
+ * The messages a message answers, nearest first. Reply ids come from other
+ * peers and can form a cycle, so each message is visited once.
+ */
+function* ancestorsOf(messageDiv) {
+    const visited = new Set([messageDiv]);
+    for (let ancestor = parentMessageDiv(messageDiv); ancestor && !visited.has(ancestor); ancestor = parentMessageDiv(ancestor)) {
+        visited.add(ancestor);
+        yield ancestor;
+    }
+}
+
+/**
+ * Every reply below a message, including replies to replies
+ */
+function threadReplies(messageId, visited = new Set([findMessageDiv(messageId)])) {
+    const replies = [];
+    for (const reply of repliesTo(messageId)) {
+        if (visited.has(reply)) continue;
+        visited.add(reply);
+        replies.push(reply);
+        if (reply.dataset.messageId) replies.push(...threadReplies(reply.dataset.messageId, visited));
+    }
+    return replies;
+}
+
+/**
+ * A reply was added: update its thread's reply counts, and hide it if the
+ * thread is collapsed
+ */
+function replyAdded(replyDiv) {
+    for (const ancestor of ancestorsOf(replyDiv)) {
+        if (ancestor.classList.contains('thread-collapsed')) replyDiv.classList.add('thread-hidden');
+        renderThreadToggle(ancestor);
+    }
+}
+
+function renderThreadToggle(messageDiv) {
+    const count = threadReplies(messageDiv.dataset.messageId).length;
+    let toggle = messageDiv.querySelector(':scope > .thread-toggle');
+    if (!toggle) {
+        toggle = document.createElement('button');
+        toggle.className = 'thread-toggle';
+        toggle.onclick = () => toggleThread(messageDiv.dataset.messageId);
+        messageDiv.appendChild(toggle);
+    }
+    const noun = count === 1 ? 'reply' : 'replies';
+    toggle.textContent = messageDiv.classList.contains('thread-collapsed')
+        ? `▸ Show ${count} ${noun}`
+        : `💬 ${count} ${noun} · hide`;
+}
+
+/**
+ * Collapse or expand the replies below a message
+ */
+function toggleThread(messageId) {
+    const messageDiv = findMessageDiv(messageId);
+    if (!messageDiv) return;
+
+    const collapsed = messageDiv.classList.toggle('thread-collapsed');
+    for (const reply of threadReplies(messageId)) {
+        // Expanding shows only replies not hidden by another collapsed thread
+        const hidden = collapsed || [...ancestorsUpTo(reply, messageDiv)].some(div => div.classList.contains('thread-collapsed'));
+        reply.classList.toggle('thread-hidden', hidden);
+    }
+    renderThreadToggle(messageDiv);
+}
+
+function* ancestorsUpTo(messageDiv, root) {
+    for (const ancestor of ancestorsOf(messageDiv)) {
+        if (ancestor === root) return;
+        yield ancestor;
+    }
+}
+
+function toggleReactionPicker(messageDiv, messageId) {
+    const open = messageDiv.querySelector('.reaction-picker');
+    if (open) {
+        open.remove();
+        return;
+    }
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+    for (const emoji of LP2PReactions.REACTIONS.QUICK) {
+        const btn = document.createElement('button');
+        btn.textContent = emoji;
+        btn.onclick = () => {
+            picker.remove();
+            toggleReaction(messageId, emoji);
+        };
+        picker.appendChild(btn);
+    }
+    messageDiv.appendChild(picker);
+}
+
+async function toggleReaction(messageId, emoji) {
+    try {
+        await reactions.toggle(messageId, emoji);
+    } catch (error) {
+        console.warn('Could not send reaction:', error.message);
+    }
+}
+
+/**
+ * Reaction counts under a message; hovering shows who reacted, clicking
+ * adds or takes back ours
+ */
+function renderReactions(messageId, summary) {
+    const messageDiv = findMessageDiv(messageId);
+    if (!messageDiv) return;
+
+    let bar = messageDiv.querySelector('.message-reactions');
+    if (summary.length === 0) {
+        if (bar) bar.remove();
+        return;
+    }
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.className = 'message-reactions';
+        messageDiv.insertBefore(bar, messageDiv.querySelector('.message-time').nextSibling);
+    }
+    bar.innerHTML = '';
+    for (const group of summary) {
+        const chip = document.createElement('button');
+        chip.className = 'reaction-chip' + (group.mine ? ' mine' : '');
+        chip.textContent = `${group.emoji} ${group.count}`;
+        chip.title = group.peers.map(pid => pid === peerId ? 'You' : peerDisplayName(pid)).join(', ');
+        chip.onclick = () => toggleReaction(messageId, group.emoji);
+        bar.appendChild(chip);
+    }
+}
+
+/**
+ * Chat Activity UI
+ */
+let receiptObserver = null;
+const onScreenUnread = new Map(); // message element -> sender, visible while the page was hidden
+
+/**
+ * "Alice is typing…" under the chat
+ */
+function renderTypingIndicator() {
+    const indicator = document.getElementById('typingIndicator');
+    if (!indicator || !activity) return;
+
+    const names = activity.whoIsTyping().map(peerDisplayName);
+    if (names.length === 0) indicator.textContent = '';
+    else if (names.length === 1) indicator.textContent = `${names[0]} is typing…`;
+    else if (names.length <= 3) indicator.textContent = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are typing…`;
+    else indicator.textContent = `${names.length} people are typing…`;
+}
+
+/**
+ * "Seen by Alice, Bob" under one of our messages
+ */
+function renderReadReceipt(messageId, readers) {
+    const messageDiv = messagesDiv.querySelector(`.message.sent[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!messageDiv) return;
+
+    let seen = messageDiv.querySelector('.message-seen');
+    if (!seen) {
+        seen = document.createElement('div');
+        seen.className = 'message-seen';
+        messageDiv.appendChild(seen);
+    }
+    seen.textContent = `Seen by ${readers.map(peerDisplayName).join(', ')}`;
+}
+
+/**
+ * Send a read receipt once a received message has been on screen
+ */
+function observeForReceipt(messageDiv, senderId) {
+    if (!receiptObserver && typeof IntersectionObserver !== 'undefined') {
+        receiptObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                const sender = entry.target.dataset.senderId;
+                if (!entry.isIntersecting) {
+                    onScreenUnread.delete(entry.target);
+                } else if (document.hidden) {
+                    onScreenUnread.set(entry.target, sender);
+                } else {
+                    receiptObserver.unobserve(entry.target);
+                    if (activity) activity.messageSeen(entry.target.dataset.messageId, sender);
+                }
+            }
+        }, { root: messagesDiv, threshold: 0.6 });
+    }
+    if (!receiptObserver) return;
+    messageDiv.dataset.senderId = senderId;
+    receiptObserver.observe(messageDiv);
+}
+
+/**
+ * Away status follows page visibility; messages left on screen while
+ * hidden are read once the page is shown again
+ */
+function handleVisibilityChange() {
+    if (!activity) return;
+    activity.setAway(document.hidden);
+    if (document.hidden) return;
+
+    for (const [messageDiv, sender] of onScreenUnread) {
+        if (receiptObserver) receiptObserver.unobserve(messageDiv);
+        activity.messageSeen(messageDiv.dataset.messageId, sender);
+    }
+    onScreenUnread.clear();
+}
+
+/**
+ * Read receipts privacy setting (identity popup)
+ */
+function toggleReadReceipts(checkbox) {
+    if (!activity) return;
+    activity.setReceiptsEnabled(checkbox.checked);
+    addSystemMessage(checkbox.checked ? 'Read receipts turned on' : 'Read receipts turned off');
+}
+
+function initActivityTracking() {
+    messageInput.addEventListener('input', () => {
+        if (activity) activity.inputChanged(messageInput.value.trim().length > 0);
+    });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+}
+
 /**
  * Enable chat UI
  */
@@ -606,10 +1656,11 @@ async function setUsername() {
 }
 
 /**
- * Handle Enter key in message input
+ * Handle Enter key in message input (Shift+Enter starts a new line)
  */
-messageInput.addEventListener('keypress', (event) => {
-    if (event.key === 'Enter') {
+messageInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+        event.preventDefault();
         sendMessage();
     }
 });
@@ -665,11 +1716,19 @@ function initSidebarResizer() {
     });
 }
 
-// Initialize resizer when DOM is ready
+// Initialize resizer, file drop zone, notes editor, chat activity and composer format when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initSidebarResizer);
+    document.addEventListener('DOMContentLoaded', initFileDropZone);
+    document.addEventListener('DOMContentLoaded', initNotesEditor);
+    document.addEventListener('DOMContentLoaded', initActivityTracking);
+    document.addEventListener('DOMContentLoaded', renderComposeFormat);
 } else {
     initSidebarResizer();
+    initFileDropZone();
+    initNotesEditor();
+    initActivityTracking();
+    renderComposeFormat();
 }
 
 // Export for use in main app
@@ -691,6 +1750,40 @@ if (typeof window !== 'undefined') {
         saveTrustLevel,
         addMessage,
         addSystemMessage,
+        renderFileTransfer,
+        initFileDropZone,
+        // Notes UI
+        renderNotesList,
+        renderNote,
+        openNote,
+        createNote,
+        shareOpenNote,
+        removeOpenNote,
+        initNotesEditor,
+        // Message edits UI
+        renderMessageEdit,
+        editOwnMessage,
+        deleteOwnMessage,
+        // Message formatting UI
+        toggleComposeFormat,
+        // Threads & reactions UI
+        startReply,
+        cancelReply,
+        jumpToMessage,
+        toggleThread,
+        renderReactions,
+        // Chat activity UI
+        renderTypingIndicator,
+        renderReadReceipt,
+        toggleReadReceipts,
+        // Repositories UI
+        renderReposList,
+        renderRepo,
+        openRepo,
+        previewRepoFile,
+        importRepoFromInput,
+        shareOpenRepo,
+        removeOpenRepo,
         enableChat,
         disableChat,
         showUsernameModal,